@@ -3,9 +3,18 @@ import cors from "cors";
 import cookieParser from "cookie-parser";
 
 const app = express();
+
+// behind a load balancer req.ip has to come from X-Forwarded-For, TRUST_PROXY is
+// what express accepts for "trust proxy": a hop count, true, or addresses/subnets
+const trustProxy = process.env.TRUST_PROXY
+if (trustProxy) {
+    app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" || trustProxy)
+}
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
-    credentials: true
+    credentials: true,
+    // read by tus clients of /api/v1/uploads
+    exposedHeaders: ["Location", "Upload-Offset", "Upload-Length", "Upload-Expires", "Upload-Metadata", "Tus-Resumable", "Tus-Version", "Tus-Extension", "Tus-Max-Size"]
 }))
 
 app.use(express.json({limit:"16kb"}))
@@ -21,6 +30,11 @@ import commentRouter from "./routes/comment.routes.js"
 import likeRouter from "./routes/like.routes.js"
 import subscriptionRouter from "./routes/subscription.routes.js"
 import playlistRouter from "./routes/playlist.routes.js"
+import adminRouter from "./routes/admin.routes.js"
+import mediaRouter from "./routes/media.routes.js"
+import uploadRouter from "./routes/upload.routes.js"
+import searchRouter from "./routes/search.routes.js"
+import feedRouter from "./routes/feed.routes.js"
 
 
 // routes declaration
@@ -30,5 +44,10 @@ app.use("/api/v1/comments", commentRouter)
 app.use("/api/v1/likes", likeRouter)
 app.use("/api/v1/subscriptions", subscriptionRouter)
 app.use("/api/v1/playlist", playlistRouter)
+app.use("/api/v1/admin", adminRouter)
+app.use("/api/v1/uploads", uploadRouter)
+app.use("/api/v1/search", searchRouter)
+app.use("/api/v1/feed", feedRouter)
+app.use("/media", mediaRouter)
 
 export { app } 
\ No newline at end of file
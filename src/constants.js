@@ -1 +1,195 @@
-export const DB_NAME = "vtube-backend"
\ No newline at end of file
+export const DB_NAME = "vtube-backend"
+
+export const EMAIL_VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000 // 24 hours
+export const PASSWORD_RESET_TOKEN_TTL = 60 * 60 * 1000 // 1 hour
+
+export const PERMISSIONS = {
+    VIDEOS_MODERATE: "videos:moderate", // edit, unpublish or delete any video
+    COMMENTS_MODERATE: "comments:moderate",
+    CHANNEL_COMMENTS_MODERATE: "channel-comments:moderate", // delete comments on your own videos
+    PLAYLISTS_MODERATE: "playlists:moderate",
+    USERS_SUSPEND: "users:suspend",
+    USERS_MANAGE_ROLES: "users:manage-roles"
+}
+
+// what each role may do on content it does not own, owners can always manage their own content
+export const ROLE_PERMISSIONS = {
+    user: [],
+    creator: [
+        PERMISSIONS.CHANNEL_COMMENTS_MODERATE
+    ],
+    moderator: [
+        PERMISSIONS.CHANNEL_COMMENTS_MODERATE,
+        PERMISSIONS.VIDEOS_MODERATE,
+        PERMISSIONS.COMMENTS_MODERATE,
+        PERMISSIONS.PLAYLISTS_MODERATE,
+        PERMISSIONS.USERS_SUSPEND
+    ],
+    admin: Object.values(PERMISSIONS)
+}
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS)
+
+export const ACCOUNT_DELETION_MAX_GRACE_DAYS = 30
+export const ACCOUNT_DELETION_JOB_INTERVAL = 10 * 60 * 1000 // 10 minutes
+
+// who can watch a video, see utils/videoAccess.js
+export const VIDEO_VISIBILITIES = ["public", "unlisted", "private"]
+export const VIDEO_SHARE_LINK_MAX_DAYS = 365
+export const VIDEO_SHARE_LINK_LIMIT = 20 // active links per video
+export const VIDEO_ALLOW_LIST_LIMIT = 100 // users a private video can be shared with
+
+// caption tracks, stored as WebVTT, see utils/captions.js
+export const CAPTION_KINDS = ["subtitles", "captions", "descriptions"]
+export const CAPTION_MAX_BYTES = 1024 * 1024 // 1 MB
+export const CAPTION_TRACK_LIMIT = 30 // per video
+
+// chapters from the description or set explicitly, see utils/chapters.js
+export const CHAPTERS = {
+    MIN_COUNT: 3,
+    MAX_COUNT: 100,
+    MIN_LENGTH: 10, // seconds
+    TITLE_MAX_LENGTH: 100
+}
+
+export const VIDEO_CATEGORIES = [
+    "autos",
+    "comedy",
+    "education",
+    "entertainment",
+    "film-animation",
+    "gaming",
+    "howto-style",
+    "music",
+    "news-politics",
+    "people-blogs",
+    "pets-animals",
+    "science-technology",
+    "sports",
+    "travel-events",
+    "other"
+]
+export const VIDEO_TAGS = {
+    MAX_COUNT: 15,
+    MAX_LENGTH: 30
+}
+export const FACET_TOP_TAGS = 20
+
+// sortBy values of video listings and the field each one sorts on
+export const VIDEO_LIST_SORTS = {
+    createdAt: "createdAt",
+    views: "views",
+    duration: "duration",
+    title: "title",
+    relevance: "searchScore" // only with a search query
+}
+export const VIDEO_LIST_MAX_LIMIT = 50
+
+// results per section of /api/v1/search
+export const SEARCH_LIMITS = {
+    VIDEOS: 20,
+    CHANNELS: 5,
+    PLAYLISTS: 5,
+    SUGGESTIONS: 10,
+    MATCHED_CHANNELS: 20, // channels whose videos rank as matches of the query
+    QUERY_MAX_LENGTH: 100
+}
+
+// views are reported by the player once enough was watched, see controllers/view.controller.js
+export const VIEW_COUNTING = {
+    MIN_WATCH_SECONDS: 30,
+    MIN_WATCH_FRACTION: 0.5, // short videos count after half of them
+    WINDOW: 24 * 60 * 60 * 1000, // one view per viewer and video per day
+    AGGREGATE_INTERVAL: 60 * 1000, // 1 minute
+    AGGREGATE_BATCH: 5000,
+    RAW_EVENT_TTL: 90 * 24 * 60 * 60 * 1000 // raw reports are kept 90 days
+}
+
+export const WATCH_HISTORY = {
+    COMPLETED_FRACTION: 0.95, // past this the video resumes from the start
+    MAX_LIMIT: 50
+}
+
+// how long the signed links /media redirects remote video files to stay valid
+export const MEDIA_LINK_TTL = 10 * 60 // seconds
+
+// subscription feed
+export const FEED_MAX_LIMIT = 50
+
+// trending ranking, see jobs/trendingVideos.job.js
+export const TRENDING = {
+    WINDOW: 48 * 60 * 60 * 1000, // activity older than 48 hours does not count
+    HALF_LIFE: 12 * 60 * 60 * 1000, // an event counts half as much every 12 hours
+    WEIGHTS: {
+        VIEW: 1,
+        LIKE: 4,
+        COMMENT: 6
+    },
+    MAX_PER_CATEGORY: 200,
+    INTERVAL: 15 * 60 * 1000, // 15 minutes
+    MAX_LIMIT: 50
+}
+
+// "up next" recommendations, see utils/relatedVideos.js
+export const RELATED_VIDEOS = {
+    WEIGHTS: {
+        CO_WATCH: 3, // per viewer who watched both
+        TAG: 2, // per shared tag
+        CHANNEL: 1,
+        TITLE: 2 // for the best title match
+    },
+    CO_WATCH_VIEWERS: 500, // most recent viewers looked at
+    CANDIDATES_PER_SIGNAL: 50,
+    MAX_LIMIT: 50
+}
+
+// how often scheduled videos are checked, a video goes live at most this late
+export const SCHEDULED_PUBLISH_INTERVAL = 60 * 1000 // 1 minute
+
+export const DATA_EXPORT_TTL = 7 * 24 * 60 * 60 * 1000 // 7 days
+export const DATA_EXPORT_CLEANUP_INTERVAL = 60 * 60 * 1000 // 1 hour
+
+export const LOGIN_THROTTLE = {
+    ACCOUNT_THRESHOLD: 5, // failures before an account gets locked
+    IP_THRESHOLD: 20, // an ip may try a few accounts before it is locked too
+    BASE_LOCK: 60 * 1000, // first lock is 1 minute, doubled on every further failure
+    MAX_LOCK: 60 * 60 * 1000, // never longer than an hour
+    WINDOW: 15 * 60 * 1000 // counters are forgotten after 15 minutes without failures
+}
+
+export const PERSONAL_ACCESS_TOKEN_PREFIX = "vtp_"
+export const PERSONAL_ACCESS_TOKEN_MAX_DAYS = 365
+export const PERSONAL_ACCESS_TOKEN_LIMIT = 50 // active tokens per user
+
+// what a personal access token can be allowed to do, routes opt in with verifyAccess(scope)
+export const TOKEN_SCOPES = [
+    "videos:read",
+    "videos:write",
+    "playlists:read",
+    "playlists:write"
+]
+
+export const TUS_VERSION = "1.0.0"
+export const TUS_MAX_UPLOAD_SIZE = 10 * 1024 * 1024 * 1024 // 10 GB
+export const TUS_UPLOAD_EXPIRY = 24 * 60 * 60 * 1000 // abandoned uploads are removed after 24 hours without a chunk
+export const TUS_CLEANUP_INTERVAL = 60 * 60 * 1000 // 1 hour
+
+// HLS ladder, renditions taller than the source are skipped (the smallest is always made)
+export const TRANSCODE_RENDITIONS = [
+    { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+    { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 }
+]
+export const HLS_SEGMENT_SECONDS = 6
+
+// thumbnail candidates are taken at these fractions of the duration
+export const THUMBNAIL_CANDIDATE_POSITIONS = [0.1, 0.3, 0.5, 0.7, 0.9]
+// seek preview sprites, one tile every INTERVAL seconds, stretched so long videos stay under MAX_TILES
+export const SPRITE_SHEET = {
+    TILE_WIDTH: 160,
+    COLUMNS: 10,
+    ROWS: 10,
+    INTERVAL: 5,
+    MAX_TILES: 300
+}
@@ -0,0 +1,166 @@
+import { isValidObjectId } from "mongoose"
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { Session } from "../models/session.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { hasPermission } from "../utils/permissions.js"
+import { PERMISSIONS, ROLES } from "../constants.js"
+
+// take a video down, it is hidden from everyone but the owner and moderators until restored
+const unpublishVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { reason } = req.body
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        {
+            $set: {
+                moderation: {
+                    unpublishedAt: new Date(),
+                    unpublishedBy: req.user?._id,
+                    reason
+                }
+            },
+            // a taken down video must not go live on its schedule
+            $unset: {
+                publishAt: 1,
+                publishVisibility: 1
+            }
+        },
+        { new: true }
+    )
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video unpublished by moderator"))
+})
+
+// lifts the take down, the video is visible again as its visibility allows
+const restoreVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        {
+            $unset: {
+                moderation: 1
+            }
+        },
+        { new: true }
+    )
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video restored"))
+})
+
+// moderators can only act on plain users, staff accounts are managed by admins
+const findManageableUser = async (req, userId) => {
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid userId")
+    }
+
+    if (userId === req.user?._id.toString()) {
+        throw new ApiError(400, "You can not moderate your own account")
+    }
+
+    const user = await User.findById(userId)
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    if (hasPermission(user, PERMISSIONS.USERS_SUSPEND) && !hasPermission(req.user, PERMISSIONS.USERS_MANAGE_ROLES)) {
+        throw new ApiError(403, "Only admins can moderate staff accounts")
+    }
+
+    return user
+}
+
+const suspendUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { reason, suspendedUntil } = req.body
+
+    const until = suspendedUntil ? new Date(suspendedUntil) : undefined
+
+    if (until && (isNaN(until) || until <= new Date())) {
+        throw new ApiError(400, "suspendedUntil must be a date in the future")
+    }
+
+    const user = await findManageableUser(req, userId)
+
+    user.suspension = {
+        suspendedAt: new Date(),
+        suspendedUntil: until,
+        reason,
+        suspendedBy: req.user?._id
+    }
+    await user.save({ validateBeforeSave: false })
+
+    // sign the user out everywhere
+    await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "account suspended" } }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { userId, suspension: user.suspension }, "User suspended"))
+})
+
+const unsuspendUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+
+    const user = await findManageableUser(req, userId)
+
+    user.suspension = undefined
+    await user.save({ validateBeforeSave: false })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { userId }, "User suspension lifted"))
+})
+
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { role } = req.body
+
+    if (!ROLES.includes(role)) {
+        throw new ApiError(400, `role must be one of ${ROLES.join(", ")}`)
+    }
+
+    const user = await findManageableUser(req, userId)
+
+    user.role = role
+    await user.save({ validateBeforeSave: false })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { userId, role }, "User role updated"))
+})
+
+export {
+    unpublishVideo,
+    restoreVideo,
+    suspendUser,
+    unsuspendUser,
+    updateUserRole
+}
@@ -0,0 +1,211 @@
+import fs from "fs"
+import { isValidObjectId } from "mongoose"
+import { Video } from "../models/video.model.js"
+import { CaptionTrack } from "../models/captionTrack.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { assertOwnerOrPermission } from "../utils/permissions.js"
+import { findViewableVideo } from "../utils/videoAccess.js"
+import { parseCaptions, toWebVtt } from "../utils/captions.js"
+import { PERMISSIONS, CAPTION_KINDS, CAPTION_MAX_BYTES, CAPTION_TRACK_LIMIT } from "../constants.js"
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i
+
+// text of the multer upload, read first so the temp file is removed whatever fails later
+const readUpload = async (file) => {
+    if (!file) return null;
+
+    try {
+        if (file.size > CAPTION_MAX_BYTES) {
+            throw new ApiError(400, `Caption files can not be larger than ${CAPTION_MAX_BYTES / 1024} KB`)
+        }
+
+        return await fs.promises.readFile(file.path, "utf8")
+    } finally {
+        await fs.promises.rm(file.path, { force: true })
+    }
+}
+
+// SRT or WebVTT in, WebVTT out
+const convertCaptions = (text) => {
+    const cues = parseCaptions(text)
+    return { content: toWebVtt(cues), cueCount: cues.length }
+}
+
+const validateTrackDetails = ({ language, kind }) => {
+    if (language !== undefined && !LANGUAGE_TAG.test(language)) {
+        throw new ApiError(400, "language must be a language tag like en or pt-BR")
+    }
+
+    if (kind !== undefined && !CAPTION_KINDS.includes(kind)) {
+        throw new ApiError(400, `kind must be one of ${CAPTION_KINDS.join(", ")}`)
+    }
+}
+
+// captions are as visible as their video, private ones open with ?share=<token> too
+const findVisibleVideo = async (req) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await findViewableVideo(videoId, req.user, req.query.share)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    return video
+}
+
+const findManagedVideo = async (req) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    assertOwnerOrPermission(req.user, video.owner, PERMISSIONS.VIDEOS_MODERATE, "You can not edit the captions of this video")
+
+    return video
+}
+
+const findTrack = async (video, trackId, select) => {
+    if (!isValidObjectId(trackId)) {
+        throw new ApiError(400, "Invalid trackId")
+    }
+
+    const track = await CaptionTrack.findOne({ _id: trackId, video: video._id }).select(select)
+
+    if (!track) {
+        throw new ApiError(404, "Caption track not found")
+    }
+
+    return track
+}
+
+const sameTrackExists = (error) => error?.code === 11000
+
+const getVideoCaptions = asyncHandler(async (req, res) => {
+    const video = await findVisibleVideo(req)
+
+    const tracks = await CaptionTrack.find({ video: video._id }).sort({ language: 1, kind: 1 })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, tracks, "caption tracks fetched successfully"))
+})
+
+// the WebVTT file itself, usable as the src of a <track> element
+const getCaptionTrack = asyncHandler(async (req, res) => {
+    const video = await findVisibleVideo(req)
+    const track = await findTrack(video, req.params.trackId, "+content")
+
+    return res
+        .status(200)
+        .type("text/vtt")
+        .send(track.content)
+})
+
+const addCaptionTrack = asyncHandler(async (req, res) => {
+    const { language, label, kind = "subtitles" } = req.body
+    const text = await readUpload(req.file)
+    const video = await findManagedVideo(req)
+
+    if (text === null) {
+        throw new ApiError(400, "caption file is required")
+    }
+
+    if (!language) {
+        throw new ApiError(400, "language is required")
+    }
+
+    validateTrackDetails({ language, kind })
+
+    const { content, cueCount } = convertCaptions(text)
+
+    if (await CaptionTrack.countDocuments({ video: video._id }) >= CAPTION_TRACK_LIMIT) {
+        throw new ApiError(400, `A video can not have more than ${CAPTION_TRACK_LIMIT} caption tracks`)
+    }
+
+    let track
+    try {
+        track = await CaptionTrack.create({
+            video: video._id,
+            language,
+            label: label?.trim() || language,
+            kind,
+            content,
+            cueCount
+        })
+    } catch (error) {
+        if (sameTrackExists(error)) {
+            throw new ApiError(409, `The video already has ${kind} in ${language}`)
+        }
+        throw error
+    }
+
+    const { content: _, ...trackDetails } = track.toObject()
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, trackDetails, "caption track added successfully"))
+})
+
+// language, label and kind can be changed, a new file replaces the cues
+const updateCaptionTrack = asyncHandler(async (req, res) => {
+    const { language, label, kind } = req.body
+    const text = await readUpload(req.file)
+    const video = await findManagedVideo(req)
+    const track = await findTrack(video, req.params.trackId)
+
+    validateTrackDetails({ language, kind })
+
+    const update = {
+        ...(language && { language }),
+        ...(label?.trim() && { label: label.trim() }),
+        ...(kind && { kind }),
+        ...(text !== null && convertCaptions(text))
+    }
+
+    let updatedTrack
+    try {
+        updatedTrack = await CaptionTrack.findByIdAndUpdate(track._id, { $set: update }, { new: true })
+    } catch (error) {
+        if (sameTrackExists(error)) {
+            throw new ApiError(409, "The video already has a track with this language and kind")
+        }
+        throw error
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedTrack, "caption track updated successfully"))
+})
+
+const deleteCaptionTrack = asyncHandler(async (req, res) => {
+    const video = await findManagedVideo(req)
+    const track = await findTrack(video, req.params.trackId)
+
+    await CaptionTrack.deleteOne({ _id: track._id })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { trackId: track._id }, "caption track deleted successfully"))
+})
+
+export {
+    getVideoCaptions,
+    getCaptionTrack,
+    addCaptionTrack,
+    updateCaptionTrack,
+    deleteCaptionTrack
+}
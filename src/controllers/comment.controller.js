@@ -5,6 +5,8 @@ import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
 import { Video } from "../models/video.model.js"
 import { Like } from "../models/like.model.js"
+import { assertOwnerOrPermission, hasPermission, isOwner } from "../utils/permissions.js"
+import { PERMISSIONS } from "../constants.js"
 
 const getVideoComments = asyncHandler(async (req, res) => {
     //get all comments for a video
@@ -134,9 +136,7 @@ const updateComment = asyncHandler(async (req, res) => {
         throw new ApiError(404, "comment not found");
     }
 
-    if (comment?.owner.toString() !== req.user?._id.toString()) {
-        throw new ApiError(400, "can not update the comment");
-    }
+    assertOwnerOrPermission(req.user, comment.owner, PERMISSIONS.COMMENTS_MODERATE, "can not update the comment");
 
     const updatedComment = await Comment.findByIdAndUpdate(
         comment?._id,
@@ -167,15 +167,18 @@ const deleteComment = asyncHandler(async (req, res) => {
         throw new ApiError(404, "comment not found");
     }
 
-    if (comment?.owner.toString() !== req.user?._id.toString()) {
-        throw new ApiError(400, "can not delete the comment by you");
+    // creators may also remove comments left on their own videos
+    const isChannelModerator = hasPermission(req.user, PERMISSIONS.CHANNEL_COMMENTS_MODERATE)
+        && isOwner(req.user, (await Video.findById(comment.video).select("owner"))?.owner);
+
+    if (!isChannelModerator) {
+        assertOwnerOrPermission(req.user, comment.owner, PERMISSIONS.COMMENTS_MODERATE, "can not delete the comment by you");
     }
 
     await Comment.findByIdAndDelete(commentId);
 
     await Like.deleteMany({
-        comment: commentId,
-        likedBy: req.user
+        comment: commentId
     });
 
     return res
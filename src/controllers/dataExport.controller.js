@@ -0,0 +1,83 @@
+import { isValidObjectId } from "mongoose"
+import { DataExport } from "../models/dataExport.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { enqueueDataExport } from "../jobs/dataExport.job.js"
+
+const requestDataExport = asyncHandler(async (req, res) => {
+    // one export at a time is plenty, hand back the one already being built
+    const pendingExport = await DataExport.findOne({
+        user: req.user?._id,
+        status: { $in: ["queued", "processing"] }
+    })
+
+    if (pendingExport) {
+        return res
+            .status(202)
+            .json(new ApiResponse(202, pendingExport, "an export is already in progress"))
+    }
+
+    const dataExport = await DataExport.create({
+        user: req.user?._id
+    })
+
+    enqueueDataExport(dataExport._id)
+
+    return res
+        .status(202)
+        .json(new ApiResponse(202, dataExport, "export requested, check its status to download it"))
+})
+
+const getDataExports = asyncHandler(async (req, res) => {
+    const exports = await DataExport.find({ user: req.user?._id }).sort({ createdAt: -1 })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, exports, "exports fetched successfully"))
+})
+
+const findUserExport = async (req, select = "") => {
+    const { exportId } = req.params
+
+    if (!isValidObjectId(exportId)) {
+        throw new ApiError(400, "Invalid exportId")
+    }
+
+    const dataExport = await DataExport.findOne({ _id: exportId, user: req.user?._id }).select(select)
+
+    if (!dataExport) {
+        throw new ApiError(404, "export not found")
+    }
+
+    return dataExport
+}
+
+const getDataExport = asyncHandler(async (req, res) => {
+    const dataExport = await findUserExport(req)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, dataExport, "export fetched successfully"))
+})
+
+const downloadDataExport = asyncHandler(async (req, res) => {
+    const dataExport = await findUserExport(req, "+filePath")
+
+    if (dataExport.status !== "ready") {
+        throw new ApiError(409, "export is not ready yet")
+    }
+
+    if (dataExport.expiresAt <= new Date()) {
+        throw new ApiError(410, "export has expired, please request a new one")
+    }
+
+    return res.download(dataExport.filePath, `vtube-export-${dataExport.createdAt.toISOString().slice(0, 10)}.zip`)
+})
+
+export {
+    requestDataExport,
+    getDataExports,
+    getDataExport,
+    downloadDataExport
+}
@@ -0,0 +1,97 @@
+import { Subscription } from "../models/subscription.model.js"
+import { Video } from "../models/video.model.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { listedVideoMatch } from "../utils/videoAccess.js"
+import { decodeCursor, cursorMatch, toCursorPage } from "../utils/pagination.js"
+import { FEED_MAX_LIMIT } from "../constants.js"
+
+// newest public videos of every channel the user follows, by when they went public
+// (scheduled and slow to transcode videos come in at the top), paged with nextCursor.
+// the { owner, publishedAt } index lets mongodb merge the per channel ranges in
+// publishedAt order, so following hundreds of channels does not sort every video.
+// unwatched=true leaves out what is in the watch history
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+    const { cursor, limit = 20, unwatched } = req.query
+    const limitInt = Math.min(Math.max(parseInt(limit, 10) || 20, 1), FEED_MAX_LIMIT)
+
+    const channelIds = await Subscription.find({ subscriber: req.user?._id }).distinct("channel")
+
+    if (!channelIds.length) {
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { docs: [], limit: limitInt, hasNextPage: false, nextCursor: null }, "feed fetched successfully"))
+    }
+
+    const pipeline = [
+        {
+            $match: {
+                owner: { $in: channelIds },
+                ...listedVideoMatch()
+            }
+        }
+    ]
+
+    if (cursor) {
+        pipeline.push({ $match: cursorMatch(decodeCursor(cursor, "publishedAt"), "publishedAt", -1) })
+    }
+
+    pipeline.push({ $sort: { publishedAt: -1, _id: -1 } })
+
+    if (unwatched === "true") {
+        pipeline.push(
+            {
+                // one indexed lookup per video ({ user, video } is unique)
+                $lookup: {
+                    from: "watchevents",
+                    let: { videoId: "$_id" },
+                    pipeline: [
+                        { $match: { $expr: { $and: [{ $eq: ["$user", req.user._id] }, { $eq: ["$video", "$$videoId"] }] } } },
+                        { $limit: 1 },
+                        { $project: { _id: 1 } }
+                    ],
+                    as: "watched"
+                }
+            },
+            { $match: { watched: { $size: 0 } } }
+        )
+    }
+
+    pipeline.push(
+        { $limit: limitInt + 1 },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "ownerDetails",
+                pipeline: [
+                    { $project: { username: 1, fullName: 1, avatar: 1 } }
+                ]
+            }
+        },
+        { $unwind: "$ownerDetails" },
+        {
+            $project: {
+                title: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                category: 1,
+                createdAt: 1,
+                publishedAt: 1,
+                ownerDetails: 1
+            }
+        }
+    )
+
+    const videos = await Video.aggregate(pipeline)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, toCursorPage(videos, limitInt, "publishedAt", "publishedAt"), "feed fetched successfully"))
+})
+
+export {
+    getSubscriptionFeed
+}
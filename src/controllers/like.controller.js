@@ -1,4 +1,4 @@
-import mongoose, { isValidObjectId } from "mongoose"
+import { isValidObjectId } from "mongoose"
 import { Like } from "../models/like.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
@@ -70,64 +70,7 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
 )
 
 const getLikedVideos = asyncHandler(async (req, res) => {
-    const likedVideos = await Like.aggregate([
-        {
-            $match: {
-                likedBy: new mongoose.Types.ObjectId(req.user?._id)
-            }
-        },
-        {
-            $lookup: {
-                from: "videos",
-                localField: "video",
-                foreignField: "_id",
-                as: "likedVideos",
-                pipeline: [
-                    {
-                        $lookup: {
-                            from: "users",
-                            localField: "owner",
-                            foreignField: "_id",
-                            as: "ownerDetails"
-                        }
-                    },
-                    {
-                        $unwind: "$ownerDetails",
-                    },
-                ]
-            }
-        },
-        {
-            $unwind: "$likedVideos",
-        },
-        {
-            $sort: {
-                createdAt: -1,
-            },
-        },
-        {
-            $project: {
-                _id: 0,
-                likedVideos: {
-                    _id: 1,
-                    videoFile: 1,
-                    thumbnail: 1,
-                    owner: 1,
-                    title: 1,
-                    description: 1,
-                    views: 1,
-                    duration: 1,
-                    createdAt: 1,
-                    isPublished: 1,
-                    ownerDetails: {
-                        username: 1,
-                        fullName: 1,
-                        avatar: 1,
-                    },
-                },
-            }
-        }
-    ])
+    const likedVideos = await Like.findLikedVideos(req.user)
 
     return res.status(200).json(new ApiResponse(200, likedVideos, "fetched all the liked videos"));
 })
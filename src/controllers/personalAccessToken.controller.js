@@ -0,0 +1,102 @@
+import { isValidObjectId } from "mongoose"
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { generateToken, hashToken } from "../utils/tokens.js"
+import {
+    PERSONAL_ACCESS_TOKEN_PREFIX,
+    PERSONAL_ACCESS_TOKEN_MAX_DAYS,
+    PERSONAL_ACCESS_TOKEN_LIMIT,
+    TOKEN_SCOPES
+} from "../constants.js"
+
+const createAccessToken = asyncHandler(async (req, res) => {
+    const { name, scopes, expiresInDays = 30 } = req.body
+    const days = Number(expiresInDays)
+
+    if (!name?.trim()) {
+        throw new ApiError(400, "name is required")
+    }
+
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some((scope) => !TOKEN_SCOPES.includes(scope))) {
+        throw new ApiError(400, `scopes must be a list of ${TOKEN_SCOPES.join(", ")}`)
+    }
+
+    if (!Number.isInteger(days) || days < 1 || days > PERSONAL_ACCESS_TOKEN_MAX_DAYS) {
+        throw new ApiError(400, `expiresInDays must be a whole number between 1 and ${PERSONAL_ACCESS_TOKEN_MAX_DAYS}`)
+    }
+
+    const activeTokens = await PersonalAccessToken.countDocuments({
+        user: req.user?._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+
+    if (activeTokens >= PERSONAL_ACCESS_TOKEN_LIMIT) {
+        throw new ApiError(400, `You can not have more than ${PERSONAL_ACCESS_TOKEN_LIMIT} active tokens`)
+    }
+
+    const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateToken()}`
+
+    const accessToken = await PersonalAccessToken.create({
+        user: req.user?._id,
+        name: name.trim(),
+        tokenHash: hashToken(token),
+        tokenHint: token.slice(-4),
+        scopes: [...new Set(scopes)],
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    })
+
+    const { tokenHash, ...tokenDetails } = accessToken.toObject()
+
+    // the only time the token is shown, only its hash is kept
+    return res
+        .status(201)
+        .json(new ApiResponse(201, { ...tokenDetails, token }, "token created, copy it now as it will not be shown again"))
+})
+
+const getAccessTokens = asyncHandler(async (req, res) => {
+    const tokens = await PersonalAccessToken.find({
+        user: req.user?._id,
+        revokedAt: null
+    }).sort({ createdAt: -1 })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, tokens, "tokens fetched successfully"))
+})
+
+const revokeAccessToken = asyncHandler(async (req, res) => {
+    const { tokenId } = req.params
+
+    if (!isValidObjectId(tokenId)) {
+        throw new ApiError(400, "Invalid tokenId")
+    }
+
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+        {
+            _id: tokenId,
+            user: req.user?._id,
+            revokedAt: null
+        },
+        {
+            $set: { revokedAt: new Date() }
+        },
+        { new: true }
+    )
+
+    if (!accessToken) {
+        throw new ApiError(404, "token not found")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { tokenId }, "token revoked successfully"))
+})
+
+export {
+    createAccessToken,
+    getAccessTokens,
+    revokeAccessToken
+}
@@ -4,6 +4,9 @@ import { Video } from "../models/video.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { assertOwnerOrPermission } from "../utils/permissions.js"
+import { visibleVideoMatch } from "../utils/videoAccess.js"
+import { PERMISSIONS } from "../constants.js"
 
 
 const createPlaylist = asyncHandler(async (req, res) => {
@@ -46,7 +49,11 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
                 from: "videos",
                 localField: "videos",
                 foreignField: "_id",
-                as: "videos"
+                as: "videos",
+                // videos the viewer can not see are left out of the counts too
+                pipeline: [
+                    { $match: visibleVideoMatch(req.user) }
+                ]
             }
         },
         {
@@ -99,6 +106,9 @@ const getPlaylistById = asyncHandler(async (req, res) => {
                 localField: "videos",
                 foreignField: "_id",
                 as: "videos",
+                pipeline: [
+                    { $match: visibleVideoMatch(req.user) }
+                ]
             }
         },
         {
@@ -174,9 +184,7 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
         throw new ApiError(404, "video not found")
     }
 
-    if (playlist.owner.toString() !== req.user?._id.toString()) {
-        throw new ApiError(400, "Invalid request from the user")
-    }
+    assertOwnerOrPermission(req.user, playlist.owner, PERMISSIONS.PLAYLISTS_MODERATE, "Invalid request from the user")
 
     const videoToPlaylist = await Playlist.findByIdAndUpdate(
         playlist?._id,
@@ -217,12 +225,7 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
         throw new ApiError(404, "video not found");
     }
 
-    if (playlist.owner?.toString() !== req.user?._id.toString()) {
-        throw new ApiError(
-            404,
-            "only owner can remove video from the playlist"
-        );
-    }
+    assertOwnerOrPermission(req.user, playlist.owner, PERMISSIONS.PLAYLISTS_MODERATE, "only owner can remove video from the playlist");
 
     const updatedPlaylist = await Playlist.findByIdAndUpdate(
         playlistId,
@@ -254,10 +257,12 @@ const deletePlaylist = asyncHandler(async (req, res) => {
 
     const playlist = await Playlist.findById(playlistId)
 
-    if (playlist.owner.toString() !== req.user?._id.toString()) {
-        throw new ApiError(400, "only owner can delete the playlist");
+    if (!playlist) {
+        throw new ApiError(404, "playlist not found")
     }
 
+    assertOwnerOrPermission(req.user, playlist.owner, PERMISSIONS.PLAYLISTS_MODERATE, "only owner can delete the playlist");
+
     await Playlist.findByIdAndDelete(playlist?._id);
 
     return res
@@ -290,9 +295,7 @@ const updatePlaylist = asyncHandler(async (req, res) => {
         throw new ApiError(400, "playlist not found")
     }
 
-    if (playlist.owner.toString() !== req.user?._id.toString()) {
-        throw new ApiError(400, "not the owner of this playlist")
-    }
+    assertOwnerOrPermission(req.user, playlist.owner, PERMISSIONS.PLAYLISTS_MODERATE, "not the owner of this playlist")
 
     const playlistUpdate = await Playlist.findByIdAndUpdate(
         playlist?._id,
@@ -0,0 +1,99 @@
+import { Video } from "../models/video.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { listedVideoMatch } from "../utils/videoAccess.js"
+import { parseVideoFilters } from "../utils/videoFilters.js"
+import { videoSearchStages, searchChannels, searchPlaylists, suggest } from "../search/index.js"
+import { SEARCH_LIMITS } from "../constants.js"
+
+const SEARCH_TYPES = ["all", "videos", "channels", "playlists"]
+
+const readQuery = (value) => {
+    const query = typeof value === "string" ? value.trim() : ""
+
+    if (!query) {
+        throw new ApiError(400, "q is required")
+    }
+
+    if (query.length > SEARCH_LIMITS.QUERY_MAX_LENGTH) {
+        throw new ApiError(400, `q can not be longer than ${SEARCH_LIMITS.QUERY_MAX_LENGTH} characters`)
+    }
+
+    return query
+}
+
+// public videos only, most relevant first, filtered like getAllVideos
+const searchVideos = async (query, filters, page) => {
+    return Video.aggregate([
+        ...(await videoSearchStages(query)),
+        { $match: { ...listedVideoMatch(), ...filters.match, ...filters.categoryMatch } },
+        { $sort: { searchScore: -1, _id: 1 } },
+        { $skip: (page - 1) * SEARCH_LIMITS.VIDEOS },
+        { $limit: SEARCH_LIMITS.VIDEOS },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "ownerDetails",
+                pipeline: [
+                    { $project: { username: 1, avatar: 1 } }
+                ]
+            }
+        },
+        { $unwind: "$ownerDetails" },
+        {
+            $project: {
+                title: 1,
+                description: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                tags: 1,
+                category: 1,
+                createdAt: 1,
+                ownerDetails: 1,
+                searchScore: 1
+            }
+        }
+    ])
+}
+
+// GET /search?q=&type=all|videos|channels|playlists&page=, page only moves through the videos
+const search = asyncHandler(async (req, res) => {
+    const query = readQuery(req.query.q)
+    const { type = "all" } = req.query
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+
+    if (!SEARCH_TYPES.includes(type)) {
+        throw new ApiError(400, `type must be one of ${SEARCH_TYPES.join(", ")}`)
+    }
+
+    const filters = parseVideoFilters(req.query)
+    const wants = (section) => type === "all" || type === section
+
+    const results = {
+        videos: wants("videos") ? await searchVideos(query, filters, page) : [],
+        channels: wants("channels") && page === 1 ? await searchChannels(query) : [],
+        playlists: wants("playlists") && page === 1 ? await searchPlaylists(query, req.user) : []
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { query, page, ...results }, "Search results fetched successfully"))
+})
+
+// GET /search/suggestions?q=prefix
+const getSuggestions = asyncHandler(async (req, res) => {
+    const prefix = readQuery(req.query.q)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, await suggest(prefix), "Suggestions fetched successfully"))
+})
+
+export {
+    search,
+    getSuggestions
+}
@@ -0,0 +1,90 @@
+import { isValidObjectId } from "mongoose"
+import { Session } from "../models/session.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+
+// list the devices the user is currently signed in on
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user?._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .select("deviceLabel userAgent ip createdAt lastUsedAt expiresAt")
+        .sort({ lastUsedAt: -1 })
+        .lean()
+
+    const sessionList = sessions.map((session) => ({
+        ...session,
+        isCurrent: session._id.toString() === req.sessionId?.toString()
+    }))
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, sessionList, "sessions fetched successfully"))
+})
+
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+
+    if (!isValidObjectId(sessionId)) {
+        throw new ApiError(400, "Invalid sessionId")
+    }
+
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: sessionId,
+            user: req.user?._id,
+            revokedAt: null
+        },
+        {
+            $set: {
+                revokedAt: new Date(),
+                revokedReason: "revoked by user"
+            }
+        },
+        { new: true }
+    )
+
+    if (!session) {
+        throw new ApiError(404, "session not found")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { sessionId }, "session revoked successfully"))
+})
+
+// signs the user out everywhere, including this device
+const revokeAllSessions = asyncHandler(async (req, res) => {
+    const result = await Session.updateMany(
+        {
+            user: req.user?._id,
+            revokedAt: null
+        },
+        {
+            $set: {
+                revokedAt: new Date(),
+                revokedReason: "revoked by user"
+            }
+        }
+    )
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(new ApiResponse(200, { revokedCount: result.modifiedCount }, "all sessions revoked successfully"))
+})
+
+export {
+    getSessions,
+    revokeSession,
+    revokeAllSessions
+}
@@ -0,0 +1,140 @@
+import { User } from "../models/user.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { buildOtpAuthUri, generateSecret, verifyTotp } from "../utils/totp.js"
+import { generateRecoveryCodes, verifySecondFactor } from "../utils/twoFactor.js"
+
+// step 1: create a secret, it only becomes active once a code from it is confirmed
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+    if (req.user?.twoFactor?.enabled) {
+        throw new ApiError(400, "Two factor authentication is already enabled")
+    }
+
+    const secret = generateSecret()
+
+    await User.findByIdAndUpdate(req.user?._id, {
+        $set: {
+            "twoFactor.pendingSecret": secret
+        }
+    })
+
+    const otpauthUri = buildOtpAuthUri({
+        secret,
+        accountName: req.user?.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || "VTube"
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { secret, otpauthUri }, "scan the code with an authenticator app and confirm it"))
+})
+
+// step 2: prove the authenticator works, then enable and hand out recovery codes once
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    if (!code) {
+        throw new ApiError(400, "code is required")
+    }
+
+    const user = await User.findById(req.user?._id).select("+twoFactor.pendingSecret")
+
+    if (!user?.twoFactor?.pendingSecret) {
+        throw new ApiError(400, "Start two factor enrollment first")
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code)
+
+    if (step === null) {
+        throw new ApiError(400, "Invalid two factor code")
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+
+    await User.findByIdAndUpdate(user._id, {
+        $set: {
+            "twoFactor.enabled": true,
+            "twoFactor.secret": user.twoFactor.pendingSecret,
+            "twoFactor.recoveryCodes": hashes,
+            "twoFactor.lastUsedStep": step
+        },
+        $unset: {
+            "twoFactor.pendingSecret": 1
+        }
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { recoveryCodes: codes }, "Two factor authentication enabled, store the recovery codes safely"))
+})
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body
+
+    if (!password || !(code || recoveryCode)) {
+        throw new ApiError(400, "password and a two factor code are required")
+    }
+
+    const user = await User.findById(req.user?._id)
+
+    if (!user?.twoFactor?.enabled) {
+        throw new ApiError(400, "Two factor authentication is not enabled")
+    }
+
+    if (!(await user.isPasswordCorrect(password))) {
+        throw new ApiError(400, "Invalid password")
+    }
+
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+        throw new ApiError(400, "Invalid two factor code")
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+        $set: {
+            "twoFactor.enabled": false
+        },
+        $unset: {
+            "twoFactor.secret": 1,
+            "twoFactor.pendingSecret": 1,
+            "twoFactor.recoveryCodes": 1,
+            "twoFactor.lastUsedStep": 1
+        }
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Two factor authentication disabled"))
+})
+
+// replaces every existing recovery code
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    if (!req.user?.twoFactor?.enabled) {
+        throw new ApiError(400, "Two factor authentication is not enabled")
+    }
+
+    if (!(await verifySecondFactor(req.user._id, { code }))) {
+        throw new ApiError(400, "Invalid two factor code")
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+
+    await User.findByIdAndUpdate(req.user._id, {
+        $set: {
+            "twoFactor.recoveryCodes": hashes
+        }
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { recoveryCodes: codes }, "recovery codes regenerated"))
+})
+
+export {
+    enrollTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+}
@@ -0,0 +1,250 @@
+import fs from "fs"
+import path from "path"
+import { Transform } from "stream"
+import { pipeline } from "stream/promises"
+import { isValidObjectId } from "mongoose"
+import { ResumableUpload } from "../models/resumableUpload.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { TUS_VERSION, TUS_MAX_UPLOAD_SIZE, TUS_UPLOAD_EXPIRY } from "../constants.js"
+
+// tus 1.0.0 resumable uploads (https://tus.io/protocols/resumable-upload)
+// with the creation, expiration and termination extensions.
+// a completed upload is turned into a video by sending its id as uploadId to publishAVideo
+
+const uploadDir = () => process.env.UPLOAD_DIR || "./uploads"
+
+// Upload-Metadata: "filename d29ybGQubXA0,filetype dmlkZW8vbXA0"
+const parseMetadata = (header = "") => {
+    const metadata = {}
+
+    for (const pair of header.split(",")) {
+        const [key, value = ""] = pair.trim().split(" ")
+        if (!key) continue;
+        if (!/^[a-zA-Z0-9_-]+$/.test(key)) {
+            throw new ApiError(400, "Invalid Upload-Metadata header")
+        }
+        metadata[key] = Buffer.from(value, "base64").toString("utf8")
+    }
+    return metadata
+}
+
+const encodeMetadata = (metadata) => {
+    return [...(metadata?.entries() || [])]
+        .map(([key, value]) => `${key} ${Buffer.from(value).toString("base64")}`)
+        .join(",")
+}
+
+const findOwnUpload = async (req) => {
+    const { uploadId } = req.params
+
+    if (!isValidObjectId(uploadId)) {
+        throw new ApiError(404, "Upload not found")
+    }
+
+    const upload = await ResumableUpload.findOne({
+        _id: uploadId,
+        owner: req.user?._id
+    }).select("+filePath")
+
+    // expired uploads are gone for the client even before the cleanup job removed them
+    if (!upload || upload.expiresAt <= new Date()) {
+        throw new ApiError(404, "Upload not found")
+    }
+
+    return upload
+}
+
+// every tus response carries the protocol version
+const tusHeaders = (req, res, next) => {
+    res.set("Tus-Resumable", TUS_VERSION)
+
+    if (req.method !== "OPTIONS" && req.get("Tus-Resumable") !== TUS_VERSION) {
+        res.set("Tus-Version", TUS_VERSION)
+        return next(new ApiError(412, `Tus-Resumable ${TUS_VERSION} is required`))
+    }
+    next()
+}
+
+const getUploadOptions = (req, res) => {
+    return res
+        .status(204)
+        .set({
+            "Tus-Version": TUS_VERSION,
+            "Tus-Extension": "creation,expiration,termination",
+            "Tus-Max-Size": String(TUS_MAX_UPLOAD_SIZE)
+        })
+        .end()
+}
+
+const createUpload = asyncHandler(async (req, res) => {
+    const length = Number(req.get("Upload-Length"))
+
+    if (!Number.isSafeInteger(length) || length <= 0) {
+        throw new ApiError(400, "Upload-Length must be a positive integer")
+    }
+
+    if (length > TUS_MAX_UPLOAD_SIZE) {
+        throw new ApiError(413, "Upload is larger than Tus-Max-Size")
+    }
+
+    const metadata = parseMetadata(req.get("Upload-Metadata"))
+
+    if (metadata.filetype && !metadata.filetype.startsWith("video/")) {
+        throw new ApiError(400, "Only video files can be uploaded")
+    }
+
+    const upload = new ResumableUpload({
+        owner: req.user?._id,
+        length,
+        metadata,
+        expiresAt: new Date(Date.now() + TUS_UPLOAD_EXPIRY)
+    })
+    upload.filePath = path.join(uploadDir(), `${upload._id}${path.extname(metadata.filename || "")}`)
+
+    await fs.promises.mkdir(uploadDir(), { recursive: true })
+    await fs.promises.writeFile(upload.filePath, "")
+    await upload.save()
+
+    return res
+        .status(201)
+        .set({
+            "Location": `${req.baseUrl}/${upload._id}`,
+            "Upload-Expires": upload.expiresAt.toUTCString()
+        })
+        .end()
+})
+
+// lets the client find out where to resume
+const getUploadOffset = asyncHandler(async (req, res) => {
+    const upload = await findOwnUpload(req)
+
+    res.set({
+        "Upload-Offset": String(upload.offset),
+        "Upload-Length": String(upload.length),
+        "Upload-Expires": upload.expiresAt.toUTCString(),
+        "Cache-Control": "no-store"
+    })
+
+    if (upload.metadata?.size) {
+        res.set("Upload-Metadata", encodeMetadata(upload.metadata))
+    }
+
+    return res.status(200).end()
+})
+
+// one PATCH per upload at a time, a second one would write to the same offset
+const activePatches = new Set()
+
+const patchUpload = asyncHandler(async (req, res) => {
+    if (req.get("Content-Type") !== "application/offset+octet-stream") {
+        throw new ApiError(415, "Content-Type must be application/offset+octet-stream")
+    }
+
+    const upload = await findOwnUpload(req)
+    const offset = Number(req.get("Upload-Offset"))
+
+    if (!Number.isSafeInteger(offset) || offset !== upload.offset) {
+        throw new ApiError(409, "Upload-Offset does not match the current offset")
+    }
+
+    if (upload.status !== "in-progress") {
+        throw new ApiError(409, "Upload is already complete")
+    }
+
+    const uploadId = upload._id.toString()
+    if (activePatches.has(uploadId)) {
+        throw new ApiError(409, "Upload is being written by another request")
+    }
+    activePatches.add(uploadId)
+
+    let writeError;
+    try {
+        let received = 0
+        const remaining = upload.length - upload.offset
+
+        const limit = new Transform({
+            transform(chunk, _, callback) {
+                received += chunk.length
+                if (received > remaining) {
+                    return callback(new ApiError(413, "Chunk goes past Upload-Length"))
+                }
+                callback(null, chunk)
+            }
+        })
+
+        // the request is piped by hand, pipeline() would destroy it on a failed write
+        // and take the connection the error has to be answered on with it
+        const abort = () => limit.destroy(new Error("Request aborted"))
+        req.once("aborted", abort)
+        req.pipe(limit)
+
+        try {
+            await pipeline(limit, fs.createWriteStream(upload.filePath, { flags: "a" }))
+        } finally {
+            req.off("aborted", abort)
+            req.unpipe(limit)
+            // the rest of a refused body is read and dropped so the answer can be sent
+            if (!req.readableEnded) req.resume();
+        }
+    } catch (error) {
+        // an interrupted request still keeps whatever reached the disk
+        writeError = error
+    } finally {
+        activePatches.delete(uploadId)
+    }
+
+    // the file is the source of truth for the offset
+    const { size } = await fs.promises.stat(upload.filePath)
+    const isComplete = size === upload.length
+
+    upload.offset = size
+    upload.expiresAt = new Date(Date.now() + TUS_UPLOAD_EXPIRY)
+    if (isComplete) {
+        upload.status = "completed"
+        upload.completedAt = new Date()
+    }
+    await upload.save()
+
+    if (writeError instanceof ApiError) {
+        throw writeError
+    }
+
+    if (writeError) {
+        // the client went away, nobody is left to answer
+        if (req.aborted || req.destroyed || res.writableEnded) return;
+
+        // disk full, io errors and the like, the client can resume from Upload-Offset
+        throw writeError
+    }
+
+    return res
+        .status(204)
+        .set({
+            "Upload-Offset": String(upload.offset),
+            "Upload-Expires": upload.expiresAt.toUTCString()
+        })
+        .end()
+})
+
+const deleteUpload = asyncHandler(async (req, res) => {
+    const upload = await findOwnUpload(req)
+
+    if (upload.status === "attaching") {
+        throw new ApiError(409, "Upload is being attached to a video")
+    }
+
+    await fs.promises.rm(upload.filePath, { force: true })
+    await ResumableUpload.deleteOne({ _id: upload._id })
+
+    return res.status(204).end()
+})
+
+export {
+    tusHeaders,
+    getUploadOptions,
+    createUpload,
+    getUploadOffset,
+    patchUpload,
+    deleteUpload
+}
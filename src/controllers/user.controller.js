@@ -1,20 +1,33 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { uploadFile, deleteFileByUrl } from "../storage/index.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { Session } from "../models/session.model.js";
+import { hashToken } from "../utils/tokens.js";
+import { UserToken } from "../models/userToken.model.js";
+import { sendMail } from "../utils/mailer.js";
+import { verifySecondFactor } from "../utils/twoFactor.js";
+import { getLockoutSeconds, recordFailedLogin, recordSuccessfulLogin } from "../utils/loginThrottle.js";
+import { EMAIL_VERIFICATION_TOKEN_TTL, PASSWORD_RESET_TOKEN_TTL, ACCOUNT_DELETION_MAX_GRACE_DAYS, WATCH_HISTORY } from "../constants.js";
+import { processDueDeletions } from "../jobs/accountDeletion.job.js";
 import jwt from "jsonwebtoken"
 import mongoose from "mongoose";
+import { visibleVideoMatch } from "../utils/videoAccess.js";
+import { decodeCursor, cursorMatch, toCursorPage } from "../utils/pagination.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
 
 // generate tokens using methods created in user.model like generateAccessToken, generateRefreshToken
-const generateAccessAndRefreshTokens = async (userId) => {
+// the refresh token is stored hashed on the session and replaced on every call (rotation)
+const generateAccessAndRefreshTokens = async (user, session) => {
     try {
-        const user = await User.findById(userId)
-        const accessToken = user.generateAccessToken()
-        const refreshToken = user.generateRefreshToken()
+        const accessToken = user.generateAccessToken(session._id)
+        const refreshToken = user.generateRefreshToken(session._id)
 
-        user.refreshToken = refreshToken  // change user refreshToken
-        await user.save({ validateBeforeSave: false }) // save it to db
+        session.refreshTokenHash = hashToken(refreshToken)
+        session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000)
+        session.lastUsedAt = new Date()
+        await session.save() // save it to db
 
         return { accessToken, refreshToken }
 
@@ -23,14 +36,88 @@ const generateAccessAndRefreshTokens = async (userId) => {
     }
 }
 
+// swaps the session's refresh token only if presentedHash is still the current one,
+// so of two refreshes with the same token exactly one wins. null when it lost
+const rotateRefreshToken = async (user, session, presentedHash) => {
+    const accessToken = user.generateAccessToken(session._id)
+    const refreshToken = user.generateRefreshToken(session._id)
+
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(refreshToken),
+                expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+                lastUsedAt: new Date()
+            }
+        }
+    )
+
+    return rotated ? { accessToken, refreshToken } : null
+}
+
+// every login creates its own session so other devices stay signed in
+const createSession = async (user, req) => {
+    const session = new Session({
+        user: user._id,
+        deviceLabel: req.body?.deviceLabel?.trim() || undefined,
+        userAgent: req.get("user-agent"),
+        ip: req.ip
+    })
+
+    const tokens = await generateAccessAndRefreshTokens(user, session)
+
+    return { session, ...tokens }
+}
+
+const clientUrl = (pathname, token) => {
+    const baseUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || ""
+    return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`
+}
+
+const sendVerificationEmail = async (user) => {
+    const token = await UserToken.issue(user._id, "email-verification", EMAIL_VERIFICATION_TOKEN_TTL)
+    const link = clientUrl("/verify-email", token)
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email",
+        text: `Hi ${user.fullName},\n\nconfirm your email address by opening the link below:\n${link}\n\nThe link expires in 24 hours.`
+    })
+}
+
+// issue tokens for a fully authenticated user and set them as cookies
+const sendLoginResponse = async (user, req, res) => {
+    // generate tokens using methods created in user.model, scoped to a new session for this device
+    const { accessToken, refreshToken } = await createSession(user, req)
+
+    const loggedInUser = await User.findById(user._id)
+        .select("-password")
+
+    // send tokens to frontend by using cookies
+    const options = {
+        httpOnly: true,
+        secure: true,
+        sameSite: "None"
+    }
+
+    return res.status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+        .json(
+            // optional to send tokens already sent in cookies // sent because if user want to store in localStorage
+            new ApiResponse(200, { user: loggedInUser, accessToken, refreshToken }, "User logged in Successfully")
+        )
+}
+
 const registerUser = asyncHandler(async (req, res) => {
     // get user details from frontend
     // validation
     // check if user already exists
     // check for images , check for avatar
-    // upload them to cloudinary, avatar
+    // upload them to storage, avatar
     // create user object - create entry in db
-    // remove password and refresh token field from response
+    // remove password field from response
     // check for user creation
     // return response 
     const { fullName, email, username, password } = req.body
@@ -62,9 +149,9 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(400, "avatar file is required");
     }
 
-    // upload on cloudinary using local paths created by multer stored in upload folder
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    // upload to storage using local paths created by multer stored in upload folder
+    const avatar = await uploadFile(avatarLocalPath, { folder: "avatars" })
+    const coverImage = await uploadFile(coverImageLocalPath, { folder: "cover-images" })
 
     if (!avatar) {
         throw new ApiError(400, "avatar file is required");
@@ -80,12 +167,19 @@ const registerUser = asyncHandler(async (req, res) => {
     });
 
     const createdUser = await User.findById(user._id)
-        .select("-password -refreshToken")
+        .select("-password")
 
     if (!createdUser) {
         throw new ApiError(500, "Something went wrong while registering user")
     }
 
+    // the account exists even if the mail fails, the user can ask for a new link
+    try {
+        await sendVerificationEmail(createdUser)
+    } catch (error) {
+        console.log("sending verification email failed", error);
+    }
+
     return res.status(201).json(
         new ApiResponse(200, createdUser, "User registered Successfully")
     )
@@ -105,6 +199,10 @@ const loginUser = asyncHandler(async (req, res) => {
         throw new ApiError(400, "username or email is required")
     }
 
+    if (!password) {
+        throw new ApiError(400, "password is required")
+    }
+
     // for any one check
     // if (!(username && email)) {
     //     throw new ApiError(400, "username or email is required")
@@ -115,49 +213,102 @@ const loginUser = asyncHandler(async (req, res) => {
         $or: [{ username }, { email }]
     })
 
-    if (!user) {
-        throw new ApiError(404, "User does nor exist")
+    // failures are counted per account (whichever name was used to log in) and per ip
+    const attempt = { account: user?._id.toString() || username || email, ip: req.ip }
+
+    const lockoutSeconds = await getLockoutSeconds(attempt)
+    if (lockoutSeconds) {
+        res.set("Retry-After", String(lockoutSeconds))
+        throw new ApiError(429, "Too many failed login attempts, try again later")
     }
+
     // check password from db using isPasswordCorrect method created in user.model
-    const isPasswordValid = await user.isPasswordCorrect(password)
+    // unknown users and wrong passwords get the same answer so accounts can not be probed
+    const isPasswordValid = user
+        ? await user.isPasswordCorrect(password)
+        : await User.simulatePasswordCheck(password)
 
     if (!isPasswordValid) {
+        await recordFailedLogin({ ...attempt, userId: user?._id })
         throw new ApiError(401, "invalid user credentials")
     }
 
-    // generate tokens using methods created in user.model
-    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id)
+    await recordSuccessfulLogin(attempt)
 
-    const loggedInUser = await User.findById(user._id)
-        .select("-password -refreshToken")
+    if (user.isSuspended()) {
+        throw new ApiError(403, "Your account has been suspended")
+    }
 
-    // send tokens to frontend by using cookies
-    const options = {
-        httpOnly: true,
-        secure: true,
-        sameSite: "None"
+    if (user.deletion?.status === "in-progress") {
+        throw new ApiError(403, "This account is being deleted")
     }
 
-    return res.status(200)
-        .cookie("accessToken", accessToken, options)
-        .cookie("refreshToken", refreshToken, options)
-        .json(
-            // optional to send tokens already sent in cookies // sent because if user want to store in localStorage
-            new ApiResponse(200, { user: loggedInUser, accessToken, refreshToken }, "User logged in Successfully")
+    // accounts with two factor get a challenge instead of tokens, see verifyTwoFactorLogin
+    if (user.twoFactor?.enabled) {
+        return res.status(200).json(
+            new ApiResponse(200, {
+                twoFactorRequired: true,
+                challengeToken: user.generateTwoFactorChallengeToken()
+            }, "Two factor code required")
         )
+    }
+
+    return sendLoginResponse(user, req, res)
+})
+
+// second login step for two factor accounts: challenge token + totp or recovery code
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    if (!challengeToken || !(code || recoveryCode)) {
+        throw new ApiError(400, "challengeToken and a two factor code are required")
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(challengeToken, process.env.TWO_FACTOR_CHALLENGE_SECRET)
+    } catch (error) {
+        throw new ApiError(401, "Login challenge expired, please login again")
+    }
+
+    if (decodedToken?.purpose !== "2fa-challenge") {
+        throw new ApiError(401, "Invalid login challenge")
+    }
+
+    const user = await User.findById(decodedToken._id)
+
+    if (!user?.twoFactor?.enabled) {
+        throw new ApiError(401, "Invalid login challenge")
+    }
+
+    // codes are guessable too, they count against the same limits as passwords
+    const attempt = { account: user._id.toString(), ip: req.ip }
+
+    const lockoutSeconds = await getLockoutSeconds(attempt)
+    if (lockoutSeconds) {
+        res.set("Retry-After", String(lockoutSeconds))
+        throw new ApiError(429, "Too many failed login attempts, try again later")
+    }
+
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+        await recordFailedLogin({ ...attempt, userId: user._id })
+        throw new ApiError(401, "Invalid two factor code")
+    }
+
+    await recordSuccessfulLogin(attempt)
+
+    return sendLoginResponse(user, req, res)
 })
 
 const logoutUser = asyncHandler(async (req, res) => {
-    // remove refreshToken from db 
-    await User.findByIdAndUpdate(
-        req.user._id,
+    // end only the session this request belongs to, other devices stay signed in
+    await Session.findByIdAndUpdate(
+        req.sessionId,
         {
-            $unset: {
-                refreshToken: 1
+            $set: {
+                revokedAt: new Date(),
+                revokedReason: "logout"
             }
-        },
-        {
-            new: true
         }
     )
     // clear tokens from cookies from client
@@ -184,25 +335,43 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     try {
         const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
 
+        const session = await Session.findById(decodedToken?.sid)
+
+        if (!session || session.user.toString() !== decodedToken?._id) {
+            throw new ApiError(401, "Invalid refresh token")
+        }
+
+        if (!session.isActive()) {
+            throw new ApiError(401, "Session expired or revoked")
+        }
+
         const user = await User.findById(decodedToken?._id)
 
         if (!user) {
             throw new ApiError(401, "Invalid refresh token")
         }
 
-        // check incomingRefreshToken is same as refreshToken in db
-        if (incomingRefreshToken !== user?.refreshToken) {
-            throw new ApiError(401, "Refresh token is Expired or used")
+        // rotate: new accessToken and refreshToken for the same session
+        const tokens = await rotateRefreshToken(user, session, hashToken(incomingRefreshToken))
+
+        // a validly signed token that is not the current one was already rotated away,
+        // so someone is replaying it: revoke the whole token family (session)
+        if (!tokens) {
+            await Session.updateOne(
+                { _id: session._id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: "refresh token reuse detected" } }
+            )
+
+            throw new ApiError(401, "Refresh token reuse detected, session revoked")
         }
 
+        const { accessToken, refreshToken } = tokens
+
         const options = {
             httpOnly: true,
             secure: true
         }
 
-        // generating new accessToken and refreshToken
-        const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id)
-
         // pass newly generated tokens as cookies 
         return res.status(200)
             .cookie("accessToken", accessToken, options)
@@ -236,7 +405,7 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
 
 const getCurrentUser = asyncHandler(async (req, res) => {
     // const user = await User.findOne(req.user._id)
-    // .select("-password -refreshToken")
+    // .select("-password")
 
     // if(!user){
     //     throw new ApiError(401, "User not found or not logged in")
@@ -255,22 +424,154 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
     if (!fullName || !email) {
         throw new ApiError(400, "All fields are required")
     }
+
+    const emailChanged = email.trim().toLowerCase() !== req.user?.email
+
+    if (emailChanged && await User.exists({ email: email.trim().toLowerCase() })) {
+        throw new ApiError(409, "User with email already exists")
+    }
+
     const user = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
                 fullName,
-                email
-            }
+                email,
+                // a new address has to be verified again
+                ...(emailChanged && { isEmailVerified: false })
+            },
+            ...(emailChanged && { $unset: { emailVerifiedAt: 1 } })
         },
         { new: true }
     ).select("-password")
 
+    // the change is saved even if the mail fails, the user can ask for a new link
+    if (emailChanged) {
+        try {
+            await sendVerificationEmail(user)
+        } catch (error) {
+            console.log("sending verification email failed", error);
+        }
+    }
+
     return res.status(200).json(
         new ApiResponse(200, user, "Account details updated successfully")
     )
 })
 
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body
+
+    if (!token) {
+        throw new ApiError(400, "token is required")
+    }
+
+    const userToken = await UserToken.consume(token, "email-verification")
+
+    if (!userToken) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    const user = await User.findByIdAndUpdate(
+        userToken.user,
+        {
+            $set: {
+                isEmailVerified: true,
+                emailVerifiedAt: new Date()
+            }
+        },
+        { new: true }
+    ).select("-password")
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, user, "Email verified successfully")
+    )
+})
+
+const resendEmailVerification = asyncHandler(async (req, res) => {
+    if (req.user?.isEmailVerified) {
+        throw new ApiError(400, "Email is already verified")
+    }
+
+    await sendVerificationEmail(req.user)
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Verification email sent")
+    )
+})
+
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body
+
+    if (!email?.trim()) {
+        throw new ApiError(400, "email is required")
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() })
+
+    // same response whether the account exists or not so emails can not be probed.
+    // the mail is not awaited: neither a mailer error nor the time sending takes
+    // may tell a registered email apart
+    if (user) {
+        const token = await UserToken.issue(user._id, "password-reset", PASSWORD_RESET_TOKEN_TTL)
+        const link = clientUrl("/reset-password", token)
+
+        sendMail({
+            to: user.email,
+            subject: "Reset your password",
+            text: `Hi ${user.fullName},\n\nsomeone asked to reset the password of your account. Open the link below to choose a new one:\n${link}\n\nThe link expires in 1 hour. If it was not you, ignore this email.`
+        }).catch((error) => console.log("password reset email failed", error))
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "If an account exists for this email, a reset link has been sent")
+    )
+})
+
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body
+
+    if (!token || !newPassword?.trim()) {
+        throw new ApiError(400, "token and newPassword are required")
+    }
+
+    const userToken = await UserToken.consume(token, "password-reset")
+
+    if (!userToken) {
+        throw new ApiError(400, "Reset link is invalid or has expired")
+    }
+
+    const user = await User.findById(userToken.user)
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    user.password = newPassword
+    // the reset link proves the user owns the mailbox
+    user.isEmailVerified = true
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date()
+    await user.save({ validateBeforeSave: false })
+
+    // other reset links die with this one and every device has to sign in again
+    await UserToken.updateMany(
+        { user: user._id, purpose: "password-reset", usedAt: null },
+        { $set: { usedAt: new Date() } }
+    )
+    await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "password reset" } }
+    )
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Password reset successfully")
+    )
+})
+
 const UpdateUserAvatar = asyncHandler(async(req, res) => {
 
     const avatarLocalPath = req.file?.path
@@ -279,9 +580,9 @@ const UpdateUserAvatar = asyncHandler(async(req, res) => {
         throw new ApiError(400, "Avatar file is missing")
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
+    const avatar = await uploadFile(avatarLocalPath, { folder: "avatars" })
 
-    if(!avatar.url){
+    if(!avatar?.url){
         throw new ApiError(400, "Error while uploading Avatar")
     }
 
@@ -295,6 +596,9 @@ const UpdateUserAvatar = asyncHandler(async(req, res) => {
             new: true
         }
     ).select("-password")
+
+    // the old avatar is not referenced anymore
+    await deleteFileByUrl(req.user?.avatar)
     return res.status(200).json(
         new ApiResponse(200, user, "Avatar updated successfully")
     )
@@ -308,9 +612,9 @@ const UpdateUserCoverImage = asyncHandler(async(req, res) => {
         throw new ApiError(400, "coverImage file is missing")
     }
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    const coverImage = await uploadFile(coverImageLocalPath, { folder: "cover-images" })
 
-    if(!coverImage.url){
+    if(!coverImage?.url){
         throw new ApiError(400, "Error while uploading coverImage")
     }
 
@@ -324,6 +628,8 @@ const UpdateUserCoverImage = asyncHandler(async(req, res) => {
             new: true
         }
     ).select("-password")
+
+    await deleteFileByUrl(req.user?.coverImage)
     return res.status(200).json(
         new ApiResponse(200, user, "CoverImage updated successfully")
     )
@@ -399,20 +705,41 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
     )
 })
 
+// newest first, paged with the nextCursor of the previous page
 const getWatchHistory = asyncHandler(async(req, res) => {
-    const user = await User.aggregate([
+    const { cursor, limit = 20 } = req.query
+    const limitInt = Math.min(Math.max(parseInt(limit, 10) || 20, 1), WATCH_HISTORY.MAX_LIMIT)
+
+    const pipeline = [
         {
             $match:{
-                _id: new mongoose.Types.ObjectId(req.user?._id)
+                user: new mongoose.Types.ObjectId(req.user?._id)
+            }
+        }
+    ]
+
+    if (cursor) {
+        pipeline.push({ $match: cursorMatch(decodeCursor(cursor, "lastWatchedAt"), "lastWatchedAt", -1) })
+    }
+
+    pipeline.push(
+        {
+            $sort:{
+                lastWatchedAt: -1,
+                _id: -1
             }
         },
         {
             $lookup:{
                 from: "videos",
-                localField: "watchHistory",
+                localField: "video",
                 foreignField: "_id",
-                as: "watchHistory",
+                as: "video",
                 pipeline: [
+                    {
+                        // videos that were made private or taken down since
+                        $match: visibleVideoMatch(req.user)
+                    },
                     {
                         $lookup:{
                             from: "users",
@@ -431,7 +758,12 @@ const getWatchHistory = asyncHandler(async(req, res) => {
                         }
                     },
                     {
-                        $addFields:{
+                        $project:{
+                            title: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            views: 1,
+                            createdAt: 1,
                             owner:{
                                 $first: "$owner"
                             }
@@ -439,22 +771,157 @@ const getWatchHistory = asyncHandler(async(req, res) => {
                     }
                 ]
             }
+        },
+        {
+            $unwind: "$video"
+        },
+        {
+            $limit: limitInt + 1
+        },
+        {
+            $project:{
+                video: 1,
+                position: 1,
+                completed: 1,
+                lastWatchedAt: 1
+            }
         }
-    ])
+    )
+
+    const history = await WatchEvent.aggregate(pipeline)
+
+    return res.status(200).json(new ApiResponse(200, {
+        ...toCursorPage(history, limitInt, "lastWatchedAt", "lastWatchedAt"),
+        paused: !!req.user?.historyPaused
+    }, "watch history fetched successfully"))
+})
+
+const removeWatchHistoryEntry = asyncHandler(async(req, res) => {
+    const { videoId } = req.params
+
+    if (!mongoose.isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const result = await WatchEvent.deleteOne({ user: req.user?._id, video: videoId })
+
+    if (!result.deletedCount) {
+        throw new ApiError(404, "video is not in the watch history")
+    }
+
+    return res.status(200).json(new ApiResponse(200, { videoId }, "removed from watch history"))
+})
+
+const clearWatchHistory = asyncHandler(async(req, res) => {
+    const result = await WatchEvent.deleteMany({ user: req.user?._id })
+
+    return res.status(200).json(new ApiResponse(200, { removed: result.deletedCount }, "watch history cleared"))
+})
+
+// while paused nothing new is added, what is there stays until it is cleared
+const setWatchHistoryPaused = asyncHandler(async(req, res) => {
+    const { paused } = req.body
+
+    if (typeof paused !== "boolean") {
+        throw new ApiError(400, "paused must be true or false")
+    }
+
+    await User.findByIdAndUpdate(req.user?._id, { $set: { historyPaused: paused } })
+
+    return res.status(200).json(new ApiResponse(200, { paused }, paused ? "watch history paused" : "watch history resumed"))
+})
+
+// schedules the account for deletion, graceDays = 0 deletes it right away
+const deleteAccount = asyncHandler(async (req, res) => {
+    const { password, graceDays = 0 } = req.body
+    const days = Number(graceDays)
+
+    if (!password) {
+        throw new ApiError(400, "password is required to delete the account")
+    }
+
+    if (!Number.isInteger(days) || days < 0 || days > ACCOUNT_DELETION_MAX_GRACE_DAYS) {
+        throw new ApiError(400, `graceDays must be a whole number between 0 and ${ACCOUNT_DELETION_MAX_GRACE_DAYS}`)
+    }
+
+    const user = await User.findById(req.user?._id)
 
-    return res.status(200).json(new ApiResponse(200, user[0].watchHistory, "watch history fetched successfully"))
+    if (!(await user.isPasswordCorrect(password))) {
+        throw new ApiError(400, "Invalid password")
+    }
+
+    const scheduledFor = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+
+    user.deletion = {
+        requestedAt: new Date(),
+        scheduledFor,
+        status: "scheduled"
+    }
+    await user.save({ validateBeforeSave: false })
+
+    await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "account deletion" } }
+    )
+
+    // the purge runs in the background, the job also picks it up after a restart
+    if (days === 0) {
+        processDueDeletions().catch((error) => console.log("account deletion job failed", error))
+    }
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res.status(202)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(new ApiResponse(202, { scheduledFor }, days === 0 ? "Account deletion started" : "Account deletion scheduled"))
+})
+
+// only possible during the grace period, the user has to login again first
+const cancelAccountDeletion = asyncHandler(async (req, res) => {
+    const user = await User.findOneAndUpdate(
+        {
+            _id: req.user?._id,
+            "deletion.status": "scheduled"
+        },
+        {
+            $unset: { deletion: 1 }
+        },
+        { new: true }
+    ).select("-password")
+
+    if (!user) {
+        throw new ApiError(400, "No account deletion is scheduled")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, user, "Account deletion cancelled")
+    )
 })
 
 export {
     registerUser,
     loginUser,
+    verifyTwoFactorLogin,
     logoutUser,
     refreshAccessToken,
     changeCurrentPassword,
     getCurrentUser,
     updateAccountDetails,
+    verifyEmail,
+    resendEmailVerification,
+    forgotPassword,
+    resetPassword,
     UpdateUserAvatar,
     UpdateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    removeWatchHistoryEntry,
+    clearWatchHistory,
+    setWatchHistoryPaused,
+    deleteAccount,
+    cancelAccountDeletion
 }
\ No newline at end of file
@@ -1,39 +1,100 @@
+import fs from "fs"
 import mongoose, { isValidObjectId } from "mongoose"
 import { Video } from "../models/video.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
-import { uploadOnCloudinary } from "../utils/cloudinary.js"
-import { User } from "../models/user.model.js"
+import { pipeline } from "stream/promises"
+import { getStorage, uploadFile, deleteFileByUrl } from "../storage/index.js"
+import { deleteVideoFiles } from "../utils/videoFiles.js"
+import { retainSource, enqueueTranscode } from "../jobs/transcode.job.js"
+import { ResumableUpload } from "../models/resumableUpload.model.js"
+import { Like } from "../models/like.model.js"
+import { Comment } from "../models/comment.model.js"
+import { VideoShareLink } from "../models/videoShareLink.model.js"
+import { CaptionTrack } from "../models/captionTrack.model.js"
+import { ViewEvent } from "../models/viewEvent.model.js"
+import { WatchEvent } from "../models/watchEvent.model.js"
+import { TrendingVideo } from "../models/trendingVideo.model.js"
+import { assertOwnerOrPermission } from "../utils/permissions.js"
+import { listedVideoMatch, findViewableVideo } from "../utils/videoAccess.js"
+import { chaptersFromDescription, parseChaptersInput } from "../utils/chapters.js"
+import { normalizeTags } from "../utils/tags.js"
+import { parseVideoFilters } from "../utils/videoFilters.js"
+import { videoSearchStages } from "../search/index.js"
+import { findRelatedVideoIds } from "../utils/relatedVideos.js"
+import { decodeCursor, cursorMatch, toCursorPage } from "../utils/pagination.js"
+import {
+  PERMISSIONS,
+  VIDEO_VISIBILITIES,
+  VIDEO_CATEGORIES,
+  FACET_TOP_TAGS,
+  VIDEO_LIST_SORTS,
+  VIDEO_LIST_MAX_LIMIT,
+  TRENDING,
+  RELATED_VIDEOS
+} from "../constants.js"
 
 
 // get all videos based on query of title and description, sort, pagination
-
+// filtered by tags, category, duration and upload date, see utils/videoFilters.js.
+// pages by cursor (nextCursor of the previous page) or, for older clients, by page number
 const getAllVideos = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, query, sortBy = "createdAt", sortType = "desc", userId } = req.query;
+  const { page, limit = 10, cursor, query, sortType = "desc", userId } = req.query;
+  const sortBy = req.query.sortBy || (query ? "relevance" : "createdAt");
 
-  // Ensure page and limit are integers
-  const pageInt = parseInt(page, 10);
-  const limitInt = parseInt(limit, 10);
+  if (query !== undefined && typeof query !== "string") {
+    throw new ApiError(400, "query must be a single string");
+  }
 
-  // Construct the sort object dynamically based on sortBy and sortType
-  const sort = {};
-  sort[sortBy] = sortType === "desc" ? -1 : 1;
+  // only whitelisted fields, sorting on anything else would not use an index or leak fields
+  const sortField = VIDEO_LIST_SORTS[sortBy];
 
-  // Start building the aggregation pipeline
-  let pipeline = [
-    {
-      $sort: sort
-    },
-    {
-      $skip: (pageInt - 1) * limitInt
-    },
-    {
-      $limit: limitInt
-    }
+  if (!sortField) {
+    throw new ApiError(400, `sortBy must be one of ${Object.keys(VIDEO_LIST_SORTS).join(", ")}`);
+  }
+
+  if (sortBy === "relevance" && !query) {
+    throw new ApiError(400, "sortBy relevance needs a query");
+  }
+
+  const limitInt = Math.min(Math.max(parseInt(limit, 10) || 10, 1), VIDEO_LIST_MAX_LIMIT);
+  const direction = sortType === "asc" ? 1 : -1;
+  // a cursor only continues the order it was made for
+  const cursorSort = `${sortBy}:${sortType === "asc" ? "asc" : "desc"}`;
+  const filters = parseVideoFilters(req.query);
+
+  // filter first, only public videos are listed
+  const match = {
+    ...listedVideoMatch(),
+    ...filters.match,
+    ...filters.categoryMatch,
+    ...(isValidObjectId(userId) && { owner: new mongoose.Types.ObjectId(userId) })
+  };
+
+  // search stages have to be first in the pipeline
+  const searchStages = query ? await videoSearchStages(query) : [];
+
+  const pipeline = [
+    ...searchStages,
+    { $match: match }
   ];
 
+  if (cursor) {
+    pipeline.push({ $match: cursorMatch(decodeCursor(cursor, cursorSort), sortField, direction) });
+  }
+
+  pipeline.push({ $sort: { [sortField]: direction, _id: direction } });
+
+  const pageInt = Math.max(parseInt(page, 10) || 1, 1);
+  if (!cursor && pageInt > 1) {
+    pipeline.push({ $skip: (pageInt - 1) * limitInt });
+  }
+
   pipeline.push(
+    {
+      $limit: limitInt + 1
+    },
     {
       $lookup: {
         from: "users",  // Join with the 'users' collection
@@ -52,71 +113,313 @@ const getAllVideos = asyncHandler(async (req, res) => {
     },
     {
       $unwind: "$ownerDetails"  // Flatten the 'ownerDetails' array
+    },
+    {
+      $project: {
+        sourceFile: 0,
+        hlsFiles: 0,
+        allowedUsers: 0
+      }
     }
   );
 
-  if (isValidObjectId(userId)) {
-    pipeline.unshift({
+  const videos = await Video.aggregate(pipeline);
+  const result = toCursorPage(videos, limitInt, cursorSort, sortField);
+
+  // counting is an extra pass over every match, only done for the first page of plain listings
+  result.totalDocs = null;
+  if (!cursor && pageInt === 1 && !query) {
+    result.totalDocs = result.hasNextPage ? await Video.countDocuments(match) : result.docs.length;
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Videos fetched successfully"));
+
+});
+
+// counts per category and the top tags for the same query and filters as getAllVideos.
+// categories are counted without the category filter so the other choices still show up
+const getVideoFacets = asyncHandler(async (req, res) => {
+  const { query, userId } = req.query;
+  const filters = parseVideoFilters(req.query);
+
+  const pipeline = [
+    {
       $match: {
-        owner: new mongoose.Types.ObjectId(userId)
+        ...listedVideoMatch(),
+        ...filters.match,
+        ...(isValidObjectId(userId) && { owner: new mongoose.Types.ObjectId(userId) })
       }
-    })
+    },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $project: { _id: 0, category: "$_id", count: 1 } }
+        ],
+        tags: [
+          { $match: filters.categoryMatch },
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_TOP_TAGS },
+          { $project: { _id: 0, tag: "$_id", count: 1 } }
+        ],
+        total: [
+          { $match: filters.categoryMatch },
+          { $count: "count" }
+        ]
+      }
+    }
+  ];
+
+  if (query) {
+    pipeline.unshift(...(await videoSearchStages(query)));
   }
 
-  pipeline.push({ $match: { isPublished: true } });
+  const [facets] = await Video.aggregate(pipeline);
 
-  // search should be first in pipeline array so unshift adds it to first if query is present
-  if (query) {
-    pipeline.unshift({
-      $search: {
-        index: "search-videos",
-        text: {
-          query: query,
-          path: ["title", "description"]
-        }
-      }
-    });
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {
+      total: facets.total[0]?.count ?? 0,
+      categories: facets.categories,
+      tags: facets.tags
+    }, "Video facets fetched successfully"));
+});
+
+// the ranking of jobs/trendingVideos.job.js, optionally of one category.
+// videos hidden since the last run are left out here, pages by nextCursor
+const getTrendingVideos = asyncHandler(async (req, res) => {
+  const { cursor, limit = 20 } = req.query;
+  const category = parseCategory(req.query.category);
+  const limitInt = Math.min(Math.max(parseInt(limit, 10) || 20, 1), TRENDING.MAX_LIMIT);
+
+  const pipeline = [
+    { $match: category ? { category } : {} }
+  ];
+
+  if (cursor) {
+    pipeline.push({ $match: cursorMatch(decodeCursor(cursor, "trending"), "score", -1) });
   }
 
-  const videos = await Video.aggregate(pipeline);
+  pipeline.push(
+    { $sort: { score: -1, _id: -1 } },
+    { $limit: limitInt + 1 },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "_id",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          { $match: listedVideoMatch() },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "ownerDetails",
+              pipeline: [
+                { $project: { username: 1, fullName: 1, avatar: 1 } }
+              ]
+            }
+          },
+          { $unwind: "$ownerDetails" },
+          {
+            $project: {
+              title: 1,
+              thumbnail: 1,
+              duration: 1,
+              views: 1,
+              category: 1,
+              createdAt: 1,
+              ownerDetails: 1
+            }
+          }
+        ]
+      }
+    }
+  );
+
+  // the cursor is taken from the ranking entries, hidden videos can not shorten it
+  const entries = await TrendingVideo.aggregate(pipeline);
+  const page = toCursorPage(entries, limitInt, "trending", "score");
+
   return res
     .status(200)
-    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+    .json(new ApiResponse(200, {
+      ...page,
+      docs: page.docs
+        .filter((entry) => entry.video.length)
+        .map(({ video: [video], score }) => ({ ...video, trendingScore: score }))
+    }, "Trending videos fetched successfully"));
+});
+
+// "up next" for a video the caller can see, see utils/relatedVideos.js
+const getRelatedVideos = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { limit = 20 } = req.query;
+  const limitInt = Math.min(Math.max(parseInt(limit, 10) || 20, 1), RELATED_VIDEOS.MAX_LIMIT);
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid videoId");
+  }
+
+  const video = await findViewableVideo(videoId, req.user, req.query.share);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const relatedIds = await findRelatedVideoIds(video, req.user, limitInt);
 
+  const videos = await Video.aggregate([
+    { $match: { _id: { $in: relatedIds } } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "ownerDetails",
+        pipeline: [
+          { $project: { username: 1, fullName: 1, avatar: 1 } }
+        ]
+      }
+    },
+    { $unwind: "$ownerDetails" },
+    {
+      $project: {
+        title: 1,
+        thumbnail: 1,
+        duration: 1,
+        views: 1,
+        category: 1,
+        createdAt: 1,
+        ownerDetails: 1
+      }
+    }
+  ]);
+
+  // back in the ranked order
+  const byId = new Map(videos.map((related) => [related._id.toString(), related]));
+  const ranked = relatedIds.map((id) => byId.get(id.toString())).filter(Boolean);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, ranked, "Related videos fetched successfully"));
 });
 
-//get video, upload to cloudinary, create video
+// category from the request, undefined keeps the current one
+const parseCategory = (category) => {
+  if (category === undefined || category === "") return undefined;
+
+  if (!VIDEO_CATEGORIES.includes(category)) {
+    throw new ApiError(400, `category must be one of ${VIDEO_CATEGORIES.join(", ")}`);
+  }
+  return category;
+}
+
+// publishAt of a scheduled video, only future dates make sense
+const parsePublishAt = (value) => {
+  const publishAt = new Date(value);
+
+  if (Number.isNaN(publishAt.getTime())) {
+    throw new ApiError(400, "publishAt must be a valid date");
+  }
+
+  if (publishAt <= new Date()) {
+    throw new ApiError(400, "publishAt must be in the future");
+  }
+
+  return publishAt;
+}
+
+//get video, upload to storage, create video
 const publishAVideo = asyncHandler(async (req, res) => {
-  const { title, description } = req.body
+  const { title, description, uploadId, visibility = "public" } = req.body
 
   if ([title, description].some((field) => field?.trim() === "")) {
     throw new ApiError(400, "All fields are required");
   }
 
-  const videoLocalPath = req.files?.videoFile[0]?.path;
-  const thumbnailLocalPath = req.files?.thumbnail[0]?.path;
+  if (!VIDEO_VISIBILITIES.includes(visibility)) {
+    throw new ApiError(400, `visibility must be one of ${VIDEO_VISIBILITIES.join(", ")}`);
+  }
 
-  const videoFile = await uploadOnCloudinary(videoLocalPath)
-  const thumbnail = await uploadOnCloudinary(thumbnailLocalPath)
+  // scheduled videos stay private until publishAt, then get the requested visibility
+  const publishAt = req.body.publishAt ? parsePublishAt(req.body.publishAt) : null;
 
-  if (!videoFile) {
+  const tags = req.body.tags !== undefined ? normalizeTags(req.body.tags) : [];
+  const category = parseCategory(req.body.category);
+
+  // explicit chapters win over "00:00 Intro" lines in the description,
+  // both are checked against the real duration again once the video is transcoded
+  const explicitChapters = req.body.chapters ? parseChaptersInput(req.body.chapters) : [];
+
+  let videoLocalPath = req.files?.videoFile?.[0]?.path;
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+
+  // a finished resumable (tus) upload can be used instead of the videoFile field
+  if (uploadId) {
+    if (!isValidObjectId(uploadId)) {
+      throw new ApiError(400, "Invalid uploadId");
+    }
+
+    const resumableUpload = await ResumableUpload.claimCompleted(uploadId, req.user?._id);
+
+    if (!resumableUpload) {
+      throw new ApiError(400, "Upload not found or not completed");
+    }
+
+    videoLocalPath = resumableUpload.filePath;
+  }
+
+  if (!videoLocalPath) {
     throw new ApiError(400, "Video file not found");
   }
 
-  if (!thumbnail) {
-    throw new ApiError(400, "Thumbnail not found");
+  // the transcoder works on its own copy, uploadFile removes the temp file
+  const sourceFile = await retainSource(videoLocalPath)
+
+  const videoFile = await uploadFile(videoLocalPath, { folder: "videos", resourceType: "video" })
+  // without a thumbnail the transcoder picks one of the frames it extracts
+  const thumbnail = thumbnailLocalPath
+    ? await uploadFile(thumbnailLocalPath, { folder: "thumbnails", resourceType: "image" })
+    : null
+
+  // uploadFile removed the file either way, the upload can not be used again
+  if (uploadId) {
+    await ResumableUpload.deleteOne({ _id: uploadId });
+  }
+
+  if (!videoFile || (thumbnailLocalPath && !thumbnail)) {
+    await fs.promises.rm(sourceFile, { force: true })
+    throw new ApiError(400, videoFile ? "Thumbnail not found" : "Video file not found");
   }
 
   const video = await Video.create({
     title,
     description,
-    duration: videoFile.duration,
+    duration: videoFile.duration ?? 0,
+    chapters: explicitChapters.length ? explicitChapters : chaptersFromDescription(description, videoFile.duration),
+    chaptersSource: explicitChapters.length ? "manual" : "description",
+    tags,
+    ...(category && { category }),
     videoFile: videoFile.url,
-    thumbnail: thumbnail.url,
+    thumbnail: thumbnail?.url,
     owner: req.user?._id,
-    isPublished: true
+    visibility: publishAt ? "private" : visibility,
+    ...(publishAt && { publishAt, publishVisibility: visibility }),
+    processingStatus: "queued",
+    sourceFile
   });
 
+  // the video is served once its HLS renditions are ready
+  enqueueTranscode(video._id);
+
   const videoUploaded = await Video.findById(video._id);
 
   if (!videoUploaded) {
@@ -125,7 +428,7 @@ const publishAVideo = asyncHandler(async (req, res) => {
 
   return res
     .status(200)
-    .json(new ApiResponse(200, video, "Video uploaded successfully"));
+    .json(new ApiResponse(200, video, "Video uploaded successfully, it will be available once processed"));
 })
 
 const getVideoById = asyncHandler(async (req, res) => {
@@ -139,6 +442,11 @@ const getVideoById = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid userId");
   }
 
+  // private videos can be opened with ?share=<token> from a share link
+  if (!(await findViewableVideo(videoId, req.user, req.query.share))) {
+    throw new ApiError(404, "Video not found");
+  }
+
   // const video = await Video.findById(videoId)
   const video = await Video.aggregate([
     {
@@ -196,6 +504,19 @@ const getVideoById = asyncHandler(async (req, res) => {
         ]
       }
     },
+    {
+      // the WebVTT files are served by GET /videos/:videoId/captions/:trackId
+      $lookup: {
+        from: "captiontracks",
+        localField: "_id",
+        foreignField: "video",
+        as: "captions",
+        pipeline: [
+          { $sort: { language: 1, kind: 1 } },
+          { $project: { language: 1, label: 1, kind: 1 } }
+        ]
+      }
+    },
     {
       $addFields: {
         likesCount: {
@@ -216,6 +537,22 @@ const getVideoById = asyncHandler(async (req, res) => {
     {
       $project: {
         videoFile: 1,
+        thumbnail: 1,
+        thumbnailCandidates: 1,
+        seekPreview: 1,
+        hlsMaster: 1,
+        renditions: 1,
+        width: 1,
+        height: 1,
+        processingStatus: 1,
+        processingError: 1,
+        visibility: 1,
+        publishAt: 1,
+        publishVisibility: 1,
+        chapters: 1,
+        captions: 1,
+        tags: 1,
+        category: 1,
         title: 1,
         description: 1,
         views: 1,
@@ -229,22 +566,24 @@ const getVideoById = asyncHandler(async (req, res) => {
     }
   ]);
 
-  if (!video) {
-    throw new ApiError(500, "failed to fetch video");
+  if (!video?.length) {
+    throw new ApiError(404, "Video not found");
   }
 
-  // increment views if video fetched successfully
-  await Video.findByIdAndUpdate(videoId, {
-    $inc: {
-      views: 1
-    }
-  });
+  // hls files are checked like the video (routes/media.routes.js), a share link
+  // viewer needs the token on the playlist too
+  if (req.query.share && video[0].hlsMaster) {
+    video[0].hlsMaster = `${video[0].hlsMaster}?share=${encodeURIComponent(req.query.share)}`;
+  }
 
-  await User.findByIdAndUpdate(req.user?._id, {
-    $addToSet: {
-      watchHistory: videoId
-    }
-  });
+  // views are counted by POST /videos/:videoId/views once the player has watched enough
+  // resume where the viewer stopped, completed videos start over
+  const watchEntry = await WatchEvent.findOne({ user: req.user?._id, video: videoId });
+  video[0].resumePosition = watchEntry && !watchEntry.completed ? watchEntry.position : 0;
+
+  if (!req.user?.historyPaused) {
+    await WatchEvent.touch(req.user?._id, videoId);
+  }
 
   return res
     .status(200)
@@ -254,7 +593,7 @@ const getVideoById = asyncHandler(async (req, res) => {
 //update video details like title, description, thumbnail
 const updateVideo = asyncHandler(async (req, res) => {
   const { videoId } = req.params
-  const { title, description } = req.body;
+  const { title, description, thumbnailCandidate, publishAt, chapters } = req.body;
 
   if (!isValidObjectId(videoId)) {
     throw new ApiError(400, "Invalid Video Id")
@@ -270,23 +609,65 @@ const updateVideo = asyncHandler(async (req, res) => {
     throw new ApiError(500, "failed to fetch video");
   }
 
-  if (video?.owner.toString() !== req.user?._id.toString()) {
-    throw new ApiError(
-      400,
-      "You can not edit this video"
-    );
+  assertOwnerOrPermission(req.user, video.owner, PERMISSIONS.VIDEOS_MODERATE, "You can not edit this video");
+
+  // (re)scheduling makes the video private until publishAt. it then gets the visibility
+  // sent with it, the one it was scheduled with or the one it had, private ones go public
+  const schedule = {};
+  if (publishAt) {
+    if (video.moderation?.unpublishedAt) {
+      throw new ApiError(403, "This video was taken down by a moderator");
+    }
+
+    const publishVisibility = req.body.visibility
+      || video.publishVisibility
+      || (video.visibility === "private" ? "public" : video.visibility);
+
+    if (!VIDEO_VISIBILITIES.includes(publishVisibility)) {
+      throw new ApiError(400, `visibility must be one of ${VIDEO_VISIBILITIES.join(", ")}`);
+    }
+
+    schedule.publishAt = parsePublishAt(publishAt);
+    schedule.publishVisibility = publishVisibility;
+    schedule.visibility = "private";
+  }
+
+  // tags and category only change when they are sent
+  const topicUpdate = {
+    ...(req.body.tags !== undefined && { tags: normalizeTags(req.body.tags) }),
+    ...(parseCategory(req.body.category) && { category: req.body.category })
+  };
+
+  // an explicit list replaces the chapters, an empty one goes back to the description
+  let chapterUpdate = {};
+  if (chapters !== undefined && chapters !== "") {
+    const explicitChapters = parseChaptersInput(chapters, video.duration);
+
+    chapterUpdate = explicitChapters.length
+      ? { chapters: explicitChapters, chaptersSource: "manual" }
+      : { chapters: chaptersFromDescription(description, video.duration), chaptersSource: "description" };
+  } else if (video.chaptersSource !== "manual") {
+    chapterUpdate = { chapters: chaptersFromDescription(description, video.duration) };
   }
 
   const thumbnailLocalPath = req.file?.path;
+  let thumbnailUrl = video.thumbnail;
 
-  if (!thumbnailLocalPath) {
-    throw new ApiError(400, "thumbnail is required");
-  }
+  if (thumbnailLocalPath) {
+    const thumbnail = await uploadFile(thumbnailLocalPath, { folder: "thumbnails", resourceType: "image" });
 
-  const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+    if (!thumbnail) {
+      throw new ApiError(400, "thumbnail not found");
+    }
+    thumbnailUrl = thumbnail.url;
+  } else if (thumbnailCandidate !== undefined && thumbnailCandidate !== "") {
+    // index into thumbnailCandidates, the frames extracted while transcoding
+    const index = Number(thumbnailCandidate);
 
-  if (!thumbnail) {
-    throw new ApiError(400, "thumbnail not found");
+    if (!Number.isInteger(index) || !video.thumbnailCandidates?.[index]) {
+      throw new ApiError(400, "Invalid thumbnail candidate");
+    }
+    thumbnailUrl = video.thumbnailCandidates[index];
   }
 
   const updatedVideo = await Video.findByIdAndUpdate(
@@ -295,7 +676,10 @@ const updateVideo = asyncHandler(async (req, res) => {
       $set: {
         title,
         description,
-        thumbnail: thumbnail.url
+        thumbnail: thumbnailUrl,
+        ...schedule,
+        ...chapterUpdate,
+        ...topicUpdate
       }
     },
     { new: true }
@@ -303,6 +687,12 @@ const updateVideo = asyncHandler(async (req, res) => {
   if (!updatedVideo) {
     throw new ApiError(500, "Failed to update video please try again");
   }
+
+  // the replaced thumbnail is not referenced anymore, candidates are kept so the owner can switch back
+  if (video.thumbnail !== thumbnailUrl && !video.thumbnailCandidates?.includes(video.thumbnail)) {
+    await deleteFileByUrl(video.thumbnail, { resourceType: "image" });
+  }
+
   return res
     .status(200)
     .json(new ApiResponse(200, updatedVideo, "Video updated successfully"));
@@ -315,18 +705,13 @@ const deleteVideo = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid Video Id")
   }
 
-  const video = await Video.findById(videoId);
+  const video = await Video.findById(videoId).select("+hlsFiles +sourceFile");
 
   if (!video) {
     throw new ApiError(500, "failed to fetch video");
   }
 
-  if (video?.owner.toString() !== req.user?._id.toString()) {
-    throw new ApiError(
-      400,
-      "You can not edit this video"
-    );
-  }
+  assertOwnerOrPermission(req.user, video.owner, PERMISSIONS.VIDEOS_MODERATE, "You can not delete this video");
 
   const deletedVideo = await Video.findByIdAndDelete(video?._id)
 
@@ -334,6 +719,8 @@ const deleteVideo = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Failed to delete the video");
   }
 
+  await deleteVideoFiles(video)
+
   // delete video likes
   await Like.deleteMany({
     video: videoId
@@ -344,63 +731,246 @@ const deleteVideo = asyncHandler(async (req, res) => {
     video: videoId,
   })
 
+  // share links only ever open this video
+  await VideoShareLink.deleteMany({
+    video: videoId
+  })
+
+  await CaptionTrack.deleteMany({
+    video: videoId
+  })
+
+  await ViewEvent.deleteMany({
+    video: videoId
+  })
+
+  await WatchEvent.deleteMany({
+    video: videoId
+  })
+
+  await TrendingVideo.deleteOne({
+    _id: videoId
+  })
+
   return res
     .status(200)
     .json(new ApiResponse(200, {}, "Video deleted successfully"));
 
 });
 
-const togglePublishStatus = asyncHandler(async (req, res) => {
+// public, unlisted or private, see utils/videoAccess.js
+const updateVideoVisibility = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
+  const { visibility } = req.body;
 
   if (!isValidObjectId(videoId)) {
     throw new ApiError(400, "Invalid videoId");
   }
 
+  if (!VIDEO_VISIBILITIES.includes(visibility)) {
+    throw new ApiError(400, `visibility must be one of ${VIDEO_VISIBILITIES.join(", ")}`);
+  }
+
   const video = await Video.findById(videoId);
 
   if (!video) {
     throw new ApiError(404, "Video not found");
   }
 
-  if (video?.owner.toString() !== req.user?._id.toString()) {
-    throw new ApiError(
-      400,
-      "You can not toggle publish status"
-    );
-  }
+  assertOwnerOrPermission(req.user, video.owner, PERMISSIONS.VIDEOS_MODERATE, "You can not change the visibility of this video");
 
-  const toggledVideoPublish = await Video.findByIdAndUpdate(
+  const updatedVideo = await Video.findByIdAndUpdate(
     videoId,
     {
       $set: {
-        isPublished: !video?.isPublished
+        visibility
+      },
+      // changing the visibility by hand replaces the schedule
+      $unset: {
+        publishAt: 1,
+        publishVisibility: 1
       }
     },
     { new: true }
   );
 
-  if (!toggledVideoPublish) {
-    throw new ApiError(500, "Failed to toggle video publish status");
+  if (!updatedVideo) {
+    throw new ApiError(500, "Failed to update video visibility");
   }
 
+  await Video.markPublished({ _id: updatedVideo._id });
+
   return res
     .status(200)
     .json(
       new ApiResponse(
         200,
-        { isPublished: toggledVideoPublish.isPublished },
-        "Video publish toggled successfully"
+        { visibility: updatedVideo.visibility },
+        "Video visibility updated successfully"
       )
     );
 
 });
 
+// the current user's videos waiting for their publishAt, soonest first
+const getScheduledVideos = asyncHandler(async (req, res) => {
+  const videos = await Video.find({
+    owner: req.user?._id,
+    publishAt: { $exists: true }
+  })
+    .sort({ publishAt: 1 })
+    .select("title thumbnail duration processingStatus publishAt publishVisibility createdAt");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Scheduled videos fetched successfully"));
+});
+
+// drops the schedule, the video stays private until its visibility is changed
+const cancelScheduledPublish = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid videoId");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  assertOwnerOrPermission(req.user, video.owner, PERMISSIONS.VIDEOS_MODERATE, "You can not edit this video");
+
+  // only matches while the scheduler has not published it yet
+  const updatedVideo = await Video.findOneAndUpdate(
+    { _id: videoId, publishAt: { $exists: true } },
+    { $unset: { publishAt: 1, publishVisibility: 1 } },
+    { new: true }
+  );
+
+  if (!updatedVideo) {
+    throw new ApiError(400, "Video is not scheduled");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedVideo, "Scheduled publishing cancelled"));
+});
+
+// If-Range: only honour the Range header when the client still has this exact file
+const ifRangeMatches = (req, etag, lastModified) => {
+  const ifRange = req.get("If-Range");
+
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith("\"") || ifRange.startsWith("W/")) {
+    return ifRange === etag;
+  }
+
+  return Date.parse(ifRange) === Math.floor(lastModified.getTime() / 1000) * 1000;
+}
+
+// plays the original upload with http range support, access is checked before any byte is sent
+const streamVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid videoId");
+  }
+
+  // hidden videos do not exist for anyone who can not see them
+  const video = await findViewableVideo(videoId, req.user, req.query.share);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const storage = getStorage();
+  const key = storage.keyFromUrl(video.videoFile);
+
+  if (!key) {
+    throw new ApiError(404, "Video file not found");
+  }
+
+  // remote drivers serve ranges themselves, hand out a short lived link
+  if (storage.name !== "local") {
+    const signedUrl = await storage.getSignedUrl(key, { expiresIn: 60 * 60, resourceType: "video" });
+    return res.redirect(302, signedUrl);
+  }
+
+  const file = await storage.stat(key);
+
+  if (!file) {
+    throw new ApiError(404, "Video file not found");
+  }
+
+  const etag = `"${file.size.toString(16)}-${file.lastModified.getTime().toString(16)}"`;
+
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Content-Type": file.contentType,
+    "ETag": etag,
+    "Last-Modified": file.lastModified.toUTCString(),
+    // depends on who is asking, shared caches must not keep it
+    "Cache-Control": "private, no-cache"
+  });
+
+  // If-None-Match / If-Modified-Since
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = file.size - 1;
+  let status = 200;
+
+  if (req.get("Range") && ifRangeMatches(req, etag, file.lastModified)) {
+    const ranges = req.range(file.size, { combine: true });
+
+    if (ranges === -1) {
+      return res
+        .status(416)
+        .set("Content-Range", `bytes */${file.size}`)
+        .end();
+    }
+
+    // malformed or multiple ranges are answered with the whole file
+    if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+      start = ranges[0].start;
+      end = ranges[0].end;
+      status = 206;
+      res.set("Content-Range", `bytes ${start}-${end}/${file.size}`);
+    }
+  }
+
+  res.status(status).set("Content-Length", String(end - start + 1));
+
+  if (req.method === "HEAD") {
+    return res.end();
+  }
+
+  try {
+    await pipeline(fs.createReadStream(storage.resolvePath(key), { start, end }), res);
+  } catch (error) {
+    // players abort requests all the time while seeking
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.log("streaming video failed", error);
+    }
+  }
+})
+
 export {
   getAllVideos,
   publishAVideo,
   getVideoById,
   updateVideo,
   deleteVideo,
-  togglePublishStatus
+  updateVideoVisibility,
+  streamVideo,
+  getVideoFacets,
+  getTrendingVideos,
+  getRelatedVideos,
+  getScheduledVideos,
+  cancelScheduledPublish
 }
\ No newline at end of file
@@ -0,0 +1,202 @@
+import { isValidObjectId } from "mongoose"
+import { Video } from "../models/video.model.js"
+import { User } from "../models/user.model.js"
+import { VideoShareLink } from "../models/videoShareLink.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { assertOwnerOrPermission } from "../utils/permissions.js"
+import { generateToken, hashToken } from "../utils/tokens.js"
+import {
+    PERMISSIONS,
+    VIDEO_SHARE_LINK_MAX_DAYS,
+    VIDEO_SHARE_LINK_LIMIT,
+    VIDEO_ALLOW_LIST_LIMIT
+} from "../constants.js"
+
+// share links and the allow-list are managed by the owner (or a moderator)
+const findManagedVideo = async (req) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    assertOwnerOrPermission(req.user, video.owner, PERMISSIONS.VIDEOS_MODERATE, "You can not share this video")
+
+    return video
+}
+
+const activeShareLinks = (videoId) => ({
+    video: videoId,
+    revokedAt: null,
+    $or: [
+        { expiresAt: null },
+        { expiresAt: { $gt: new Date() } }
+    ]
+})
+
+// the token opens the video as ?share=<token> on the video and stream endpoints
+const createShareLink = asyncHandler(async (req, res) => {
+    const { expiresInDays } = req.body
+    const video = await findManagedVideo(req)
+
+    let expiresAt = null
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== "") {
+        const days = Number(expiresInDays)
+
+        if (!Number.isInteger(days) || days < 1 || days > VIDEO_SHARE_LINK_MAX_DAYS) {
+            throw new ApiError(400, `expiresInDays must be a whole number between 1 and ${VIDEO_SHARE_LINK_MAX_DAYS}`)
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    }
+
+    if (await VideoShareLink.countDocuments(activeShareLinks(video._id)) >= VIDEO_SHARE_LINK_LIMIT) {
+        throw new ApiError(400, `A video can not have more than ${VIDEO_SHARE_LINK_LIMIT} active share links`)
+    }
+
+    const token = generateToken()
+
+    const shareLink = await VideoShareLink.create({
+        video: video._id,
+        createdBy: req.user?._id,
+        tokenHash: hashToken(token),
+        tokenHint: token.slice(-4),
+        expiresAt
+    })
+
+    const { tokenHash, ...linkDetails } = shareLink.toObject()
+
+    // the only time the token is shown, only its hash is kept
+    return res
+        .status(201)
+        .json(new ApiResponse(201, { ...linkDetails, token }, "share link created, copy it now as it will not be shown again"))
+})
+
+const getShareLinks = asyncHandler(async (req, res) => {
+    const video = await findManagedVideo(req)
+
+    const shareLinks = await VideoShareLink.find(activeShareLinks(video._id)).sort({ createdAt: -1 })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, shareLinks, "share links fetched successfully"))
+})
+
+const revokeShareLink = asyncHandler(async (req, res) => {
+    const { linkId } = req.params
+    const video = await findManagedVideo(req)
+
+    if (!isValidObjectId(linkId)) {
+        throw new ApiError(400, "Invalid linkId")
+    }
+
+    const shareLink = await VideoShareLink.findOneAndUpdate(
+        {
+            _id: linkId,
+            video: video._id,
+            revokedAt: null
+        },
+        {
+            $set: { revokedAt: new Date() }
+        },
+        { new: true }
+    )
+
+    if (!shareLink) {
+        throw new ApiError(404, "share link not found")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { linkId }, "share link revoked successfully"))
+})
+
+const getAllowedUsers = asyncHandler(async (req, res) => {
+    const video = await findManagedVideo(req)
+
+    await video.populate("allowedUsers", "username fullName avatar")
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video.allowedUsers, "allowed users fetched successfully"))
+})
+
+// lets the user watch the video while it is private, by username or userId
+const addAllowedUser = asyncHandler(async (req, res) => {
+    const { username, userId } = req.body
+    const video = await findManagedVideo(req)
+
+    if (!username && !isValidObjectId(userId)) {
+        throw new ApiError(400, "username or userId is required")
+    }
+
+    const user = await User.findOne(username ? { username: username.toLowerCase() } : { _id: userId }).select("_id")
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    if (user._id.equals(video.owner)) {
+        throw new ApiError(400, "The owner can always watch the video")
+    }
+
+    // the size check and the insert are one write so parallel requests can not overshoot the limit
+    const updatedVideo = await Video.findOneAndUpdate(
+        {
+            _id: video._id,
+            $or: [
+                { allowedUsers: user._id },
+                { [`allowedUsers.${VIDEO_ALLOW_LIST_LIMIT - 1}`]: { $exists: false } }
+            ]
+        },
+        {
+            $addToSet: { allowedUsers: user._id }
+        },
+        { new: true }
+    )
+
+    if (!updatedVideo) {
+        throw new ApiError(400, `A video can not be shared with more than ${VIDEO_ALLOW_LIST_LIMIT} users`)
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { allowedUsers: updatedVideo.allowedUsers }, "user added to the allow-list"))
+})
+
+const removeAllowedUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const video = await findManagedVideo(req)
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid userId")
+    }
+
+    const updatedVideo = await Video.findByIdAndUpdate(
+        video._id,
+        {
+            $pull: { allowedUsers: userId }
+        },
+        { new: true }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { allowedUsers: updatedVideo?.allowedUsers ?? [] }, "user removed from the allow-list"))
+})
+
+export {
+    createShareLink,
+    getShareLinks,
+    revokeShareLink,
+    getAllowedUsers,
+    addAllowedUser,
+    removeAllowedUser
+}
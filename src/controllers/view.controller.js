@@ -0,0 +1,124 @@
+import crypto from "crypto"
+import { isValidObjectId } from "mongoose"
+import { ViewEvent } from "../models/viewEvent.model.js"
+import { WatchEvent } from "../models/watchEvent.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { findViewableVideo } from "../utils/videoAccess.js"
+import { VIEW_COUNTING } from "../constants.js"
+
+// logged in viewers are counted by account, anonymous ones by a keyed hash of their ip.
+// nothing the client sends (user agent, cookies it can drop) goes into the key
+const viewerKeyFor = (req) => {
+    if (req.user?._id) return `user:${req.user._id}`;
+
+    const secret = process.env.VIEW_FINGERPRINT_SECRET || process.env.ACCESS_TOKEN_SECRET
+    const fingerprint = crypto
+        .createHmac("sha256", secret)
+        .update(req.ip || "")
+        .digest("hex")
+    return `anon:${fingerprint}`
+}
+
+// how much has to be watched before it is a view, half of a short video
+const watchThreshold = (duration) => {
+    return duration > 0
+        ? Math.min(VIEW_COUNTING.MIN_WATCH_SECONDS, duration * VIEW_COUNTING.MIN_WATCH_FRACTION)
+        : VIEW_COUNTING.MIN_WATCH_SECONDS
+}
+
+// the player reports how long the viewer watched. every report is kept as a raw
+// event for analytics, the first one past the threshold per viewer and window is
+// also stored as the view, which jobs/viewCount.job.js adds to Video.views
+const recordView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const watchedSeconds = Number(req.body?.watchedSeconds)
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    if (!Number.isFinite(watchedSeconds) || watchedSeconds < 0) {
+        throw new ApiError(400, "watchedSeconds must be a number of seconds")
+    }
+
+    const video = await findViewableVideo(videoId, req.user, req.query.share)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    const event = {
+        video: video._id,
+        viewer: req.user?._id,
+        viewerKey: viewerKeyFor(req),
+        window: new Date(Math.floor(Date.now() / VIEW_COUNTING.WINDOW) * VIEW_COUNTING.WINDOW),
+        // players can report more than the duration after seeking around
+        watchedSeconds: video.duration > 0 ? Math.min(watchedSeconds, video.duration) : watchedSeconds
+    }
+
+    await ViewEvent.create(event)
+
+    if (watchedSeconds < watchThreshold(video.duration)) {
+        return res
+            .status(202)
+            .json(new ApiResponse(202, { counted: false }, "Not watched long enough to count as a view"))
+    }
+
+    let counted = true
+    try {
+        await ViewEvent.create({ ...event, isView: true })
+    } catch (error) {
+        if (error?.code !== 11000) throw error;
+
+        // already counted in this window, the raw event above still records the report
+        counted = false
+    }
+
+    return res
+        .status(202)
+        .json(new ApiResponse(202, { counted }, counted ? "View recorded" : "View already counted"))
+})
+
+// the player saves the playback position every now and then, it is the resume position of getVideoById
+const saveWatchProgress = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const position = Number(req.body?.position)
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    if (!Number.isFinite(position) || position < 0) {
+        throw new ApiError(400, "position must be a number of seconds")
+    }
+
+    const video = await findViewableVideo(videoId, req.user, req.query.share)
+
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    if (req.user.historyPaused) {
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { saved: false }, "Watch history is paused"))
+    }
+
+    const entry = await WatchEvent.savePosition(
+        req.user._id,
+        video._id,
+        video.duration > 0 ? Math.min(position, video.duration) : position,
+        video.duration
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { saved: true, position: entry.position, completed: entry.completed }, "Watch progress saved"))
+})
+
+export {
+    recordView,
+    saveWatchProgress
+}
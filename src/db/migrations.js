@@ -0,0 +1,91 @@
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
+import { titleWords } from "../search/titleWords.js";
+
+// idempotent data fixes run on every start, each one only touches documents
+// that still need it so they are cheap once applied
+
+const migrations = [
+    // videos uploaded before transcoding existed are served as they are
+    async () => Video.updateMany(
+        { processingStatus: { $exists: false } },
+        { $set: { processingStatus: "ready" } }
+    ),
+    // isPublished became visibility, unpublished videos turn private.
+    // through the driver because isPublished is not in the schema anymore
+    async () => {
+        await Video.collection.updateMany(
+            { visibility: { $exists: false }, isPublished: false },
+            { $set: { visibility: "private" }, $unset: { isPublished: "" } }
+        )
+        await Video.collection.updateMany(
+            { visibility: { $exists: false } },
+            { $set: { visibility: "public" }, $unset: { isPublished: "" } }
+        )
+    },
+    // videos from before categories existed
+    async () => Video.updateMany(
+        { category: { $exists: false } },
+        { $set: { category: "other" } }
+    ),
+    // User.watchHistory (unordered ids) became WatchEvent documents. the array was
+    // filled in watch order, the times are spread before updatedAt to keep that order
+    async () => {
+        const users = User.collection.find(
+            { watchHistory: { $exists: true } },
+            { projection: { watchHistory: 1, updatedAt: 1 } }
+        )
+
+        for await (const user of users) {
+            const videoIds = user.watchHistory || []
+            const lastUpdate = (user.updatedAt || new Date()).getTime()
+
+            if (videoIds.length) {
+                await WatchEvent.bulkWrite(videoIds.map((videoId, index) => ({
+                    updateOne: {
+                        filter: { user: user._id, video: videoId },
+                        update: { $setOnInsert: { lastWatchedAt: new Date(lastUpdate - (videoIds.length - index) * 1000) } },
+                        upsert: true
+                    }
+                })))
+            }
+
+            await User.collection.updateOne({ _id: user._id }, { $unset: { watchHistory: "" } })
+        }
+    },
+    // videos that were already public and ready when publishedAt was added
+    async () => Video.updateMany(
+        { publishedAt: { $exists: false }, visibility: "public", processingStatus: "ready" },
+        [{ $set: { publishedAt: "$createdAt" } }]
+    ),
+    // titles from before titleWords existed, for autocomplete
+    async () => {
+        const videos = Video.collection.find(
+            { titleWords: { $exists: false } },
+            { projection: { title: 1 } }
+        )
+
+        for await (const video of videos) {
+            await Video.collection.updateOne(
+                { _id: video._id },
+                { $set: { titleWords: titleWords(video.title) } }
+            )
+        }
+    },
+    // accounts from before email verification existed never had the field, they are
+    // trusted as they are instead of being locked out of publishing and commenting.
+    // new accounts always store it, so this never touches them
+    async () => User.collection.updateMany(
+        { isEmailVerified: { $exists: false } },
+        [{ $set: { isEmailVerified: true, emailVerifiedAt: { $ifNull: ["$createdAt", "$$NOW"] } } }]
+    )
+]
+
+const runMigrations = async () => {
+    for (const migration of migrations) {
+        await migration()
+    }
+}
+
+export default runMigrations
@@ -1,10 +1,19 @@
 import 'dotenv/config'
 import connectDB from './db/index.js';
+import runMigrations from './db/migrations.js';
 import { app } from './app.js';
+import { startAccountDeletionJob } from './jobs/accountDeletion.job.js';
+import { startDataExportJob } from './jobs/dataExport.job.js';
+import { startUploadCleanupJob } from './jobs/uploadCleanup.job.js';
+import { startTranscodeJob } from './jobs/transcode.job.js';
+import { startScheduledPublishJob } from './jobs/scheduledPublish.job.js';
+import { startViewCountJob } from './jobs/viewCount.job.js';
+import { startTrendingJob } from './jobs/trendingVideos.job.js';
 
 
 
 connectDB()
+.then(runMigrations)
 .then(() => {
     app.on('error', (error) => {
         console.log("ERR:", error);
@@ -13,6 +22,15 @@ connectDB()
     app.listen(process.env.PORT || 8000, () => {
         console.log(`Server is running at port ${process.env.PORT}`);
     })
+
+    // background jobs
+    startAccountDeletionJob()
+    startDataExportJob().catch((error) => console.log("data export job failed to start", error))
+    startUploadCleanupJob()
+    startTranscodeJob().catch((error) => console.log("transcode job failed to start", error))
+    startScheduledPublishJob()
+    startViewCountJob()
+    startTrendingJob()
 })
 .catch((err) => {
     console.log("MONGO db connection failed !!! ", err);
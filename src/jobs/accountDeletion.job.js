@@ -0,0 +1,149 @@
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Like } from "../models/like.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { Playlist } from "../models/playlist.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { Session } from "../models/session.model.js"
+import { UserToken } from "../models/userToken.model.js"
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js"
+import { VideoShareLink } from "../models/videoShareLink.model.js"
+import { CaptionTrack } from "../models/captionTrack.model.js"
+import { ViewEvent } from "../models/viewEvent.model.js"
+import { WatchEvent } from "../models/watchEvent.model.js"
+import { TrendingVideo } from "../models/trendingVideo.model.js"
+import { deleteExportFiles } from "./dataExport.job.js"
+import { removeUploads } from "./uploadCleanup.job.js"
+import { deleteFileByUrl } from "../storage/index.js"
+import { deleteVideoFiles } from "../utils/videoFiles.js"
+import { ACCOUNT_DELETION_JOB_INTERVAL } from "../constants.js"
+
+// every step only deletes what is still there, so a purge that stopped halfway
+// (crash, restart) is finished by simply running it again. the user document
+// goes last because it is what marks the deletion as pending.
+
+// removes the comments and their likes
+const deleteComments = async (filter) => {
+    const comments = await Comment.find(filter).select("_id")
+    const commentIds = comments.map((comment) => comment._id)
+
+    await Like.deleteMany({ comment: { $in: commentIds } })
+    await Comment.deleteMany({ _id: { $in: commentIds } })
+}
+
+const deleteVideoWithRelations = async (video) => {
+    await Like.deleteMany({ video: video._id })
+    await deleteComments({ video: video._id })
+    await Playlist.updateMany({ videos: video._id }, { $pull: { videos: video._id } })
+    await WatchEvent.deleteMany({ video: video._id })
+    await VideoShareLink.deleteMany({ video: video._id })
+    await CaptionTrack.deleteMany({ video: video._id })
+    await ViewEvent.deleteMany({ video: video._id })
+    await TrendingVideo.deleteOne({ _id: video._id })
+
+    await deleteVideoFiles(video)
+
+    await Video.deleteOne({ _id: video._id })
+}
+
+const purgeUser = async (userId) => {
+    const user = await User.findById(userId)
+    if (!user) return;
+
+    await Session.deleteMany({ user: userId })
+    await WatchEvent.deleteMany({ user: userId })
+    await UserToken.deleteMany({ user: userId })
+    await PersonalAccessToken.deleteMany({ user: userId })
+    await deleteExportFiles({ user: userId })
+    await removeUploads({ owner: userId })
+
+    // one video at a time so an interruption never leaves many half deleted
+    const videos = await Video.find({ owner: userId }).select("+hlsFiles +sourceFile")
+    for (const video of videos) {
+        await deleteVideoWithRelations(video)
+    }
+
+    await Video.updateMany({ allowedUsers: userId }, { $pull: { allowedUsers: userId } })
+    await VideoShareLink.deleteMany({ createdBy: userId })
+
+    // the views stay counted, the events no longer point at the user
+    await ViewEvent.updateMany({ viewer: userId }, [
+        { $set: { viewerKey: { $concat: ["deleted:", { $toString: "$_id" }] } } },
+        { $unset: "viewer" }
+    ])
+
+    await deleteComments({ owner: userId })
+    await Like.deleteMany({ likedBy: userId })
+
+    const tweets = await Tweet.find({ owner: userId }).select("_id")
+    await Like.deleteMany({ tweet: { $in: tweets.map((tweet) => tweet._id) } })
+    await Tweet.deleteMany({ owner: userId })
+
+    await Playlist.deleteMany({ owner: userId })
+    await Subscription.deleteMany({ $or: [{ subscriber: userId }, { channel: userId }] })
+
+    await deleteFileByUrl(user.avatar, { resourceType: "image" })
+    await deleteFileByUrl(user.coverImage, { resourceType: "image" })
+
+    await User.deleteOne({ _id: userId })
+}
+
+const purgeDueUsers = async () => {
+    const users = await User.find({
+        "deletion.scheduledFor": { $lte: new Date() }
+    }).select("_id")
+
+    for (const { _id } of users) {
+        try {
+            // claimed one by one, a user may cancel while earlier accounts are purged.
+            // accounts a previous run claimed are resumed
+            const claimed = await User.updateOne(
+                {
+                    _id,
+                    "deletion.scheduledFor": { $lte: new Date() },
+                    "deletion.status": { $in: ["scheduled", "in-progress"] }
+                },
+                { $set: { "deletion.status": "in-progress" } }
+            )
+
+            if (!claimed.matchedCount) continue;
+
+            await purgeUser(_id)
+        } catch (error) {
+            console.log(`account deletion failed for user ${_id}, will retry`, error);
+        }
+    }
+}
+
+let running = false
+// set when a deletion comes due while a run is busy, e.g. graceDays = 0, so it is not left for the next interval
+let runAgain = false
+
+// purges every account whose grace period is over, including ones a previous run did not finish
+const processDueDeletions = async () => {
+    if (running) {
+        runAgain = true
+        return
+    }
+    running = true
+
+    try {
+        do {
+            runAgain = false
+            await purgeDueUsers()
+        } while (runAgain)
+    } finally {
+        running = false
+    }
+}
+
+const startAccountDeletionJob = () => {
+    processDueDeletions().catch((error) => console.log("account deletion job failed", error))
+
+    setInterval(() => {
+        processDueDeletions().catch((error) => console.log("account deletion job failed", error))
+    }, ACCOUNT_DELETION_JOB_INTERVAL).unref()
+}
+
+export { startAccountDeletionJob, processDueDeletions }
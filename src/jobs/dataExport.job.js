@@ -0,0 +1,171 @@
+import fs from "fs"
+import path from "path"
+import archiver from "archiver"
+import { DataExport } from "../models/dataExport.model.js"
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Like } from "../models/like.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { Playlist } from "../models/playlist.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { WatchEvent } from "../models/watchEvent.model.js"
+import { visibleVideoMatch } from "../utils/videoAccess.js"
+import { DATA_EXPORT_TTL, DATA_EXPORT_CLEANUP_INTERVAL } from "../constants.js"
+
+const exportDir = () => process.env.DATA_EXPORT_DIR || "./exports"
+
+// the history and likes are the user's own data and are all exported with the video id,
+// details only come with the videos the user can still see
+const visibleVideoDetails = async (profile, videoIds) => {
+    const videos = await Video.find({ _id: { $in: videoIds }, ...visibleVideoMatch(profile) })
+        .select("title description duration owner createdAt")
+        .lean()
+
+    return new Map(videos.map((video) => [video._id.toString(), video]))
+}
+
+const withVideoDetails = async (profile, entries) => {
+    const details = await visibleVideoDetails(profile, entries.map((entry) => entry.video))
+
+    return entries.map((entry) => ({
+        ...entry,
+        videoDetails: details.get(entry.video.toString()) ?? null
+    }))
+}
+
+// every section of the archive, one json file each
+const collectUserData = async (userId) => {
+    const profile = await User.findById(userId)
+        .select("-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -twoFactor.lastUsedStep")
+        .lean()
+
+    const watchHistory = await WatchEvent.find({ user: userId })
+        .sort({ lastWatchedAt: -1 })
+        .select("video position completed lastWatchedAt")
+        .lean()
+
+    const likedVideos = await Like.find({ likedBy: userId, video: { $exists: true } })
+        .sort({ createdAt: -1 })
+        .select("video createdAt")
+        .lean()
+
+    const subscriptions = await Subscription.find({ subscriber: userId })
+        .populate("channel", "username fullName")
+        .select("channel createdAt")
+        .lean()
+
+    return {
+        "profile.json": profile,
+        "watch-history.json": await withVideoDetails(profile, watchHistory),
+        "liked-videos.json": await withVideoDetails(profile, likedVideos),
+        "subscriptions.json": subscriptions,
+        "playlists.json": await Playlist.find({ owner: userId }).lean(),
+        "comments.json": await Comment.find({ owner: userId }).select("content video createdAt updatedAt").lean(),
+        "tweets.json": await Tweet.find({ owner: userId }).select("content createdAt updatedAt").lean(),
+        "videos.json": await Video.find({ owner: userId }).lean()
+    }
+}
+
+const writeArchive = async (filePath, files) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(filePath)
+        const archive = archiver("zip", { zlib: { level: 9 } })
+
+        output.on("close", () => resolve(archive.pointer()))
+        archive.on("error", reject)
+
+        archive.pipe(output)
+        for (const [name, data] of Object.entries(files)) {
+            archive.append(JSON.stringify(data, null, 2), { name })
+        }
+        archive.finalize()
+    })
+}
+
+const buildExport = async (exportId) => {
+    // claim the export so it is never built twice
+    const dataExport = await DataExport.findOneAndUpdate(
+        { _id: exportId, status: { $in: ["queued", "processing"] } },
+        { $set: { status: "processing" } },
+        { new: true }
+    )
+    if (!dataExport) return;
+
+    const filePath = path.join(exportDir(), `${dataExport.user}-${dataExport._id}.zip`)
+
+    try {
+        const files = await collectUserData(dataExport.user)
+        const fileSize = await writeArchive(filePath, files)
+
+        await DataExport.findByIdAndUpdate(dataExport._id, {
+            $set: {
+                status: "ready",
+                filePath,
+                fileSize,
+                completedAt: new Date(),
+                expiresAt: new Date(Date.now() + DATA_EXPORT_TTL)
+            }
+        })
+    } catch (error) {
+        console.log(`data export ${dataExport._id} failed`, error);
+        await fs.promises.rm(filePath, { force: true })
+        await DataExport.findByIdAndUpdate(dataExport._id, {
+            $set: {
+                status: "failed",
+                error: "Export could not be created, please try again",
+                // failed exports are cleaned up like ready ones
+                expiresAt: new Date(Date.now() + DATA_EXPORT_TTL)
+            }
+        })
+    }
+}
+
+// exports run one after another in the background, the request only queues them
+const queue = []
+let running = false
+
+const runQueue = async () => {
+    if (running) return;
+    running = true
+
+    try {
+        while (queue.length) {
+            await buildExport(queue.shift())
+        }
+    } finally {
+        running = false
+    }
+}
+
+const enqueueDataExport = (exportId) => {
+    queue.push(exportId)
+    runQueue().catch((error) => console.log("data export queue failed", error))
+}
+
+const deleteExportFiles = async (filter) => {
+    const exports = await DataExport.find(filter).select("+filePath")
+
+    for (const dataExport of exports) {
+        if (dataExport.filePath) {
+            await fs.promises.rm(dataExport.filePath, { force: true })
+        }
+        await DataExport.deleteOne({ _id: dataExport._id })
+    }
+}
+
+const removeExpiredExports = () => deleteExportFiles({ expiresAt: { $lte: new Date() } })
+
+const startDataExportJob = async () => {
+    // exports that were waiting or half built when the server stopped
+    const pending = await DataExport.find({ status: { $in: ["queued", "processing"] } }).select("_id")
+    pending.forEach(({ _id }) => enqueueDataExport(_id))
+
+    const cleanup = () => removeExpiredExports().catch((error) => console.log("data export cleanup failed", error))
+    cleanup()
+    setInterval(cleanup, DATA_EXPORT_CLEANUP_INTERVAL).unref()
+}
+
+export { enqueueDataExport, startDataExportJob, deleteExportFiles }
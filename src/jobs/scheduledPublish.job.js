@@ -0,0 +1,47 @@
+import { Video } from "../models/video.model.js"
+import { SCHEDULED_PUBLISH_INTERVAL } from "../constants.js"
+
+// gives videos the visibility they were scheduled with once their publishAt has passed.
+// the schedule is stored on the video, so videos that came due while the server was
+// down go live on start.
+
+const publishDueVideos = async () => {
+    const dueFilter = {
+        publishAt: { $lte: new Date() },
+        // videos held by a moderator stay down
+        "moderation.unpublishedAt": { $exists: false }
+    }
+
+    const due = await Video.find(dueFilter).distinct("_id")
+
+    // one by one with the same filter, a video rescheduled or taken down since
+    // the find is left alone
+    const published = []
+    for (const _id of due) {
+        const result = await Video.updateOne(
+            { _id, ...dueFilter },
+            [
+                // videos scheduled before publishVisibility existed were meant to go public
+                { $set: { visibility: { $ifNull: ["$publishVisibility", "public"] } } },
+                { $unset: ["publishAt", "publishVisibility"] }
+            ]
+        )
+        if (result.modifiedCount) published.push(_id);
+    }
+
+    if (!published.length) return;
+
+    await Video.markPublished({ _id: { $in: published } })
+
+    console.log(`published ${published.length} scheduled video(s)`);
+}
+
+const startScheduledPublishJob = () => {
+    publishDueVideos().catch((error) => console.log("scheduled publish job failed", error))
+
+    setInterval(() => {
+        publishDueVideos().catch((error) => console.log("scheduled publish job failed", error))
+    }, SCHEDULED_PUBLISH_INTERVAL).unref()
+}
+
+export { startScheduledPublishJob, publishDueVideos }
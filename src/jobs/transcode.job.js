@@ -0,0 +1,268 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { execFile } from "child_process"
+import { promisify } from "util"
+import { Video } from "../models/video.model.js"
+import { getStorage } from "../storage/index.js"
+import { probeMedia } from "../utils/mediaProbe.js"
+import { resolveChapters } from "../utils/chapters.js"
+import { extractThumbnailCandidates, createSpriteSheets, buildThumbnailTrack } from "../utils/videoPreviews.js"
+import { TRANSCODE_RENDITIONS, HLS_SEGMENT_SECONDS } from "../constants.js"
+
+const execFileAsync = promisify(execFile)
+
+// turns an uploaded video into HLS renditions with ffmpeg on this host.
+// state lives on the Video document (processingStatus), so videos that were
+// queued or half done when the server stopped are picked up again on start.
+
+const workDir = () => process.env.TRANSCODE_WORK_DIR || "./transcode"
+
+// publishAVideo hands over a copy of the upload, the original goes to storage as before
+const retainSource = async (localPath) => {
+    const sourceDir = path.join(workDir(), "sources")
+    await fs.promises.mkdir(sourceDir, { recursive: true })
+
+    const sourceFile = path.join(sourceDir, `${crypto.randomBytes(12).toString("hex")}${path.extname(localPath)}`)
+    await fs.promises.copyFile(localPath, sourceFile)
+    return sourceFile
+}
+
+const renditionsFor = (sourceHeight) => {
+    const renditions = TRANSCODE_RENDITIONS.filter((rendition) => rendition.height <= sourceHeight)
+    return renditions.length ? renditions : [TRANSCODE_RENDITIONS[TRANSCODE_RENDITIONS.length - 1]]
+}
+
+const transcodeRendition = async (sourceFile, outputDir, rendition, hasAudio) => {
+    const args = [
+        "-y", "-v", "error",
+        "-i", sourceFile,
+        "-vf", `scale=-2:${rendition.height}`,
+        "-c:v", "libx264", "-preset", "veryfast", "-profile:v", "main",
+        "-b:v", `${rendition.videoBitrate}k`,
+        "-maxrate", `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        "-bufsize", `${rendition.videoBitrate * 2}k`,
+        // keyframes on segment boundaries so every rendition can be switched at the same points
+        "-force_key_frames", `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        ...(hasAudio ? ["-c:a", "aac", "-b:a", `${rendition.audioBitrate}k`, "-ac", "2"] : ["-an"]),
+        "-f", "hls",
+        "-hls_time", String(HLS_SEGMENT_SECONDS),
+        "-hls_playlist_type", "vod",
+        "-hls_segment_filename", path.join(outputDir, `${rendition.name}_%04d.ts`),
+        path.join(outputDir, `${rendition.name}.m3u8`)
+    ]
+
+    await execFileAsync(process.env.FFMPEG_PATH || "ffmpeg", args, { maxBuffer: 10 * 1024 * 1024 })
+}
+
+const buildMasterPlaylist = (renditions) => {
+    const lines = ["#EXTM3U", "#EXT-X-VERSION:3"]
+
+    for (const rendition of renditions) {
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`)
+        lines.push(`${rendition.name}.m3u8`)
+    }
+    return lines.join("\n") + "\n"
+}
+
+// every file keeps its name under hls/<videoId>/ so the relative links in the playlists still work
+const uploadOutput = async (videoId, outputDir) => {
+    const urls = {}
+
+    for (const fileName of await fs.promises.readdir(outputDir)) {
+        const uploaded = await getStorage().upload(path.join(outputDir, fileName), {
+            key: `hls/${videoId}/${fileName}`,
+            resourceType: "raw"
+        })
+        urls[fileName] = uploaded.url
+    }
+    return urls
+}
+
+const uploadThumbnailCandidates = async (video, media, previewDir) => {
+    const thumbnailCandidates = []
+    for (const file of await extractThumbnailCandidates(video.sourceFile, previewDir, media)) {
+        const uploaded = await getStorage().upload(file, {
+            key: `thumbnails/${video._id}/${path.basename(file)}`,
+            resourceType: "image"
+        })
+        thumbnailCandidates.push(uploaded.url)
+    }
+    return thumbnailCandidates
+}
+
+const uploadSeekPreview = async (video, media, previewDir) => {
+    const { layout, files } = await createSpriteSheets(video.sourceFile, previewDir, media)
+    const sprites = []
+    for (const file of files) {
+        const uploaded = await getStorage().upload(file, {
+            key: `previews/${video._id}/${path.basename(file)}`,
+            resourceType: "image"
+        })
+        sprites.push(uploaded.url)
+    }
+
+    const trackFile = path.join(previewDir, "thumbnails.vtt")
+    await fs.promises.writeFile(trackFile, buildThumbnailTrack(layout, sprites, media.duration))
+    const track = await getStorage().upload(trackFile, {
+        key: `previews/${video._id}/thumbnails.vtt`,
+        resourceType: "raw"
+    })
+
+    return {
+        track: track.url,
+        sprites,
+        interval: layout.interval,
+        tileWidth: layout.tileWidth,
+        tileHeight: layout.tileHeight
+    }
+}
+
+// thumbnail candidates and seek preview sprites, a video without them still plays.
+// each is made on its own, failing sprites do not cost the candidates
+const createPreviews = async (video, media, previewDir) => {
+    const previews = {}
+
+    try {
+        await fs.promises.rm(previewDir, { recursive: true, force: true })
+        await fs.promises.mkdir(previewDir, { recursive: true })
+
+        try {
+            previews.thumbnailCandidates = await uploadThumbnailCandidates(video, media, previewDir)
+        } catch (error) {
+            console.log(`creating thumbnail candidates of video ${video._id} failed`, error);
+        }
+
+        try {
+            previews.seekPreview = await uploadSeekPreview(video, media, previewDir)
+        } catch (error) {
+            console.log(`creating the seek preview of video ${video._id} failed`, error);
+        }
+    } catch (error) {
+        console.log(`creating previews of video ${video._id} failed`, error);
+    } finally {
+        await fs.promises.rm(previewDir, { recursive: true, force: true })
+    }
+
+    return previews
+}
+
+const transcodeVideo = async (videoId) => {
+    // claim the video so two runs never work on it at once
+    const video = await Video.findOneAndUpdate(
+        { _id: videoId, processingStatus: "queued" },
+        { $set: { processingStatus: "processing" }, $unset: { processingError: 1 } },
+        { new: true }
+    ).select("+sourceFile")
+    if (!video) return;
+
+    const outputDir = path.join(workDir(), "output", video._id.toString())
+    const previewDir = path.join(workDir(), "previews", video._id.toString())
+
+    try {
+        if (!video.sourceFile || !fs.existsSync(video.sourceFile)) {
+            throw new Error("Source file is missing, please upload the video again")
+        }
+
+        const media = await probeMedia(video.sourceFile)
+
+        await fs.promises.rm(outputDir, { recursive: true, force: true })
+        await fs.promises.mkdir(outputDir, { recursive: true })
+
+        const renditions = []
+        for (const rendition of renditionsFor(media.height)) {
+            await transcodeRendition(video.sourceFile, outputDir, rendition, media.hasAudio)
+            renditions.push({
+                name: rendition.name,
+                // scale=-2 keeps the aspect ratio with an even width
+                width: Math.round((media.width * rendition.height) / media.height / 2) * 2,
+                height: rendition.height,
+                bandwidth: (rendition.videoBitrate + (media.hasAudio ? rendition.audioBitrate : 0)) * 1000
+            })
+        }
+
+        await fs.promises.writeFile(path.join(outputDir, "master.m3u8"), buildMasterPlaylist(renditions))
+
+        const urls = await uploadOutput(video._id, outputDir)
+        const { thumbnailCandidates, seekPreview } = await createPreviews(video, media, previewDir)
+
+        // chapters were only checked without the duration, the owner may have edited them meanwhile
+        const current = await Video.findById(video._id).select("description chapters chaptersSource")
+
+        await Video.findByIdAndUpdate(video._id, {
+            $set: {
+                processingStatus: "ready",
+                duration: media.duration,
+                width: media.width,
+                height: media.height,
+                videoCodec: media.videoCodec,
+                hlsMaster: urls["master.m3u8"],
+                renditions: renditions.map((rendition) => ({
+                    ...rendition,
+                    playlist: urls[`${rendition.name}.m3u8`]
+                })),
+                hlsFiles: Object.values(urls),
+                ...resolveChapters(current ?? video, media.duration),
+                ...(thumbnailCandidates && { thumbnailCandidates }),
+                ...(seekPreview && { seekPreview })
+            },
+            $unset: { sourceFile: 1 }
+        })
+
+        await Video.markPublished({ _id: video._id })
+
+        // the middle frame stands in until the owner uploads or picks a thumbnail
+        if (thumbnailCandidates?.length) {
+            await Video.updateOne(
+                { _id: video._id, thumbnail: { $in: [null, ""] } },
+                { $set: { thumbnail: thumbnailCandidates[Math.floor(thumbnailCandidates.length / 2)] } }
+            )
+        }
+    } catch (error) {
+        console.log(`transcoding video ${video._id} failed`, error);
+        await Video.findByIdAndUpdate(video._id, {
+            $set: {
+                processingStatus: "failed",
+                processingError: error.message?.slice(0, 500) || "Transcoding failed"
+            },
+            $unset: { sourceFile: 1 }
+        })
+    } finally {
+        await fs.promises.rm(outputDir, { recursive: true, force: true })
+        if (video.sourceFile) {
+            await fs.promises.rm(video.sourceFile, { force: true })
+        }
+    }
+}
+
+// ffmpeg is heavy, videos are transcoded one at a time
+const queue = []
+let running = false
+
+const runQueue = async () => {
+    if (running) return;
+    running = true
+
+    try {
+        while (queue.length) {
+            await transcodeVideo(queue.shift())
+        }
+    } finally {
+        running = false
+    }
+}
+
+const enqueueTranscode = (videoId) => {
+    queue.push(videoId)
+    runQueue().catch((error) => console.log("transcode queue failed", error))
+}
+
+const startTranscodeJob = async () => {
+    // a video still "processing" was interrupted by a restart, start it over
+    await Video.updateMany({ processingStatus: "processing" }, { $set: { processingStatus: "queued" } })
+
+    const pending = await Video.find({ processingStatus: "queued" }).select("_id").sort({ createdAt: 1 })
+    pending.forEach(({ _id }) => enqueueTranscode(_id))
+}
+
+export { retainSource, enqueueTranscode, startTranscodeJob }
@@ -0,0 +1,104 @@
+import { Video } from "../models/video.model.js"
+import { ViewEvent } from "../models/viewEvent.model.js"
+import { Like } from "../models/like.model.js"
+import { Comment } from "../models/comment.model.js"
+import { TrendingVideo } from "../models/trendingVideo.model.js"
+import { listedVideoMatch } from "../utils/videoAccess.js"
+import { TRENDING } from "../constants.js"
+
+// ranks videos by what happened to them in the last TRENDING.WINDOW. every view, like
+// and comment adds its weight, halved for each TRENDING.HALF_LIFE it is old, so a
+// burst of activity today beats a larger one from yesterday.
+// only listed videos are ranked, the endpoint checks again for videos hidden since.
+
+let running = false
+
+// [{ _id: videoId, score }] of one kind of event
+const decayedScores = (Model, match, weight, now) => {
+    return Model.aggregate([
+        {
+            $match: {
+                ...match,
+                createdAt: { $gte: new Date(now.getTime() - TRENDING.WINDOW) }
+            }
+        },
+        {
+            $group: {
+                _id: "$video",
+                score: {
+                    $sum: {
+                        $multiply: [
+                            weight,
+                            { $pow: [0.5, { $divide: [{ $subtract: [now, "$createdAt"] }, TRENDING.HALF_LIFE] }] }
+                        ]
+                    }
+                }
+            }
+        }
+    ])
+}
+
+const computeTrending = async () => {
+    if (running) return;
+    running = true
+
+    try {
+        const now = new Date()
+
+        const scoreLists = await Promise.all([
+            decayedScores(ViewEvent, { isView: true }, TRENDING.WEIGHTS.VIEW, now),
+            decayedScores(Like, { video: { $exists: true } }, TRENDING.WEIGHTS.LIKE, now),
+            decayedScores(Comment, { video: { $exists: true } }, TRENDING.WEIGHTS.COMMENT, now)
+        ])
+
+        const scores = new Map()
+        for (const { _id, score } of scoreLists.flat()) {
+            if (!_id) continue;
+            const key = _id.toString()
+            scores.set(key, (scores.get(key) || 0) + score)
+        }
+
+        const videos = scores.size
+            ? await Video.find({ _id: { $in: [...scores.keys()] }, ...listedVideoMatch() })
+                .select("category")
+                .lean()
+            : []
+
+        // the best TRENDING.MAX_PER_CATEGORY of every category, that always includes
+        // the overall top TRENDING.MAX_PER_CATEGORY as well
+        const perCategory = new Map()
+        const entries = videos
+            .map((video) => ({ _id: video._id, category: video.category, score: scores.get(video._id.toString()) }))
+            .sort((a, b) => b.score - a.score)
+            .filter(({ category }) => {
+                const count = perCategory.get(category) || 0
+                perCategory.set(category, count + 1)
+                return count < TRENDING.MAX_PER_CATEGORY
+            })
+
+        if (entries.length) {
+            await TrendingVideo.bulkWrite(entries.map(({ _id, category, score }) => ({
+                updateOne: {
+                    filter: { _id },
+                    update: { $set: { category, score, computedAt: now } },
+                    upsert: true
+                }
+            })))
+        }
+
+        // written first and removed after, so the ranking is never empty while it is rebuilt
+        await TrendingVideo.deleteMany({ computedAt: { $ne: now } })
+    } finally {
+        running = false
+    }
+}
+
+const startTrendingJob = () => {
+    computeTrending().catch((error) => console.log("trending job failed", error))
+
+    setInterval(() => {
+        computeTrending().catch((error) => console.log("trending job failed", error))
+    }, TRENDING.INTERVAL).unref()
+}
+
+export { startTrendingJob, computeTrending }
@@ -0,0 +1,24 @@
+import fs from "fs"
+import { ResumableUpload } from "../models/resumableUpload.model.js"
+import { TUS_CLEANUP_INTERVAL } from "../constants.js"
+
+// deletes the matching tus uploads together with their files
+const removeUploads = async (filter) => {
+    const uploads = await ResumableUpload.find(filter).select("+filePath")
+
+    for (const upload of uploads) {
+        await fs.promises.rm(upload.filePath, { force: true })
+        await ResumableUpload.deleteOne({ _id: upload._id })
+    }
+}
+
+// uploads nobody finished or attached to a video in time
+const removeExpiredUploads = () => removeUploads({ expiresAt: { $lte: new Date() } })
+
+const startUploadCleanupJob = () => {
+    const cleanup = () => removeExpiredUploads().catch((error) => console.log("upload cleanup failed", error))
+    cleanup()
+    setInterval(cleanup, TUS_CLEANUP_INTERVAL).unref()
+}
+
+export { startUploadCleanupJob, removeUploads }
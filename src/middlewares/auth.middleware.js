@@ -2,8 +2,27 @@ import { asyncHandler } from "../utils/asyncHandler.js"
 import { ApiError } from "../utils/ApiError.js"
 import jwt from "jsonwebtoken"
 import { User } from "../models/user.model.js"
+import { Session } from "../models/session.model.js"
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js"
+import { hashToken } from "../utils/tokens.js"
+import { PERSONAL_ACCESS_TOKEN_PREFIX } from "../constants.js"
 
-export const verifyJWT = asyncHandler(async (req, _, next) => {
+const findActiveUser = async (userId) => {
+    const user = await User.findById(userId).select("-password")
+
+    if (!user) {
+        throw new ApiError(401, "Invalid Access Token")
+    }
+
+    if (user.isSuspended()) {
+        throw new ApiError(403, "Your account has been suspended")
+    }
+
+    return user
+}
+
+// browser / app login, access token from the cookie or the Authorization header
+const authenticateSession = async (req) => {
     try {
         const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
 
@@ -13,16 +32,86 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
 
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
 
-        const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
+        // access tokens die together with the session they were issued for
+        const session = await Session.findOne({
+            _id: decodedToken?.sid,
+            user: decodedToken?._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
 
-        if (!user) {
-            throw new ApiError(401, "Invalid Access Token")
+        if (!session) {
+            throw new ApiError(401, "Session expired or revoked")
         }
 
-        req.user = user;
-        next()
+        req.user = await findActiveUser(decodedToken?._id);
+        req.sessionId = session._id;
     } catch (error) {
-        throw new ApiError(401, error?.message || "Invalid Access Token")
+        throw new ApiError(error?.statusCode || 401, error?.message || "Invalid Access Token")
     }
+}
+
+const authenticatePersonalAccessToken = async (req, token, scope) => {
+    const accessToken = await PersonalAccessToken.findOne({
+        tokenHash: hashToken(token),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+
+    if (!accessToken) {
+        throw new ApiError(401, "Invalid or expired access token")
+    }
+
+    if (!accessToken.scopes.includes(scope)) {
+        throw new ApiError(403, `This access token is missing the "${scope}" scope`)
+    }
+
+    req.user = await findActiveUser(accessToken.user);
+    req.accessTokenId = accessToken._id;
 
-})
\ No newline at end of file
+    // no need to write on every request of a busy script
+    if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > 60 * 1000) {
+        await PersonalAccessToken.updateOne({ _id: accessToken._id }, { $set: { lastUsedAt: new Date() } })
+    }
+}
+
+// logged in users only, personal access tokens are not accepted here
+export const verifyJWT = asyncHandler(async (req, _, next) => {
+    await authenticateSession(req)
+    next()
+})
+
+// like verifyJWT but also accepts a personal access token that has the given scope
+export const verifyAccess = (scope) => asyncHandler(async (req, _, next) => {
+    const bearerToken = req.header("Authorization")?.replace("Bearer ", "")
+
+    if (bearerToken?.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+        await authenticatePersonalAccessToken(req, bearerToken, scope)
+    } else {
+        await authenticateSession(req)
+    }
+    next()
+})
+
+// for routes anonymous visitors may use too: sets req.user when a valid login is present
+export const optionalAuth = asyncHandler(async (req, _, next) => {
+    const hasToken = req.cookies?.accessToken || req.header("Authorization")
+    if (hasToken) {
+        try {
+            await authenticateSession(req)
+        } catch (error) {
+            // a stale cookie should not lock anyone out of public content
+            req.user = undefined
+        }
+    }
+    next()
+})
+
+
+// use after verifyJWT on actions that need a confirmed email address
+export const requireVerifiedEmail = (req, _, next) => {
+    if (!req.user?.isEmailVerified) {
+        return next(new ApiError(403, "Please verify your email address first"))
+    }
+    next()
+}
@@ -1,4 +1,6 @@
 import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+import { CAPTION_MAX_BYTES } from "../constants.js";
 
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -11,4 +13,16 @@ const storage = multer.diskStorage({
     }
 })
 
-export const upload = multer({ storage: storage })
\ No newline at end of file
+export const upload = multer({ storage: storage })
+
+// caption files are small, larger ones are refused while they arrive instead of after
+const captionUpload = multer({ storage: storage, limits: { fileSize: CAPTION_MAX_BYTES } })
+
+export const uploadCaptions = (req, res, next) => {
+    captionUpload.single("captions")(req, res, (error) => {
+        if (error?.code === "LIMIT_FILE_SIZE") {
+            return next(new ApiError(400, `Caption files can not be larger than ${CAPTION_MAX_BYTES / 1024} KB`))
+        }
+        next(error)
+    })
+}
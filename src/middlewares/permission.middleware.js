@@ -0,0 +1,10 @@
+import { ApiError } from "../utils/ApiError.js"
+import { hasPermission } from "../utils/permissions.js"
+
+// use after verifyJWT, the user needs every permission listed
+export const requirePermission = (...permissions) => (req, _, next) => {
+    if (!permissions.every((permission) => hasPermission(req.user, permission))) {
+        return next(new ApiError(403, "You do not have permission to perform this action"))
+    }
+    next()
+}
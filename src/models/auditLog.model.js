@@ -0,0 +1,28 @@
+import mongoose, { Schema } from "mongoose";
+
+// security relevant events kept for later review (lockouts, ...)
+const auditLogSchema = new Schema(
+    {
+        action: {
+            type: String,
+            required: true,
+            index: true
+        },
+        user: {
+            type: Schema.Types.ObjectId, // account the event is about, when there is one
+            ref: "User",
+            index: true
+        },
+        ip: {
+            type: String,
+        },
+        details: {
+            type: Schema.Types.Mixed,
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema)
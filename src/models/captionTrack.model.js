@@ -0,0 +1,46 @@
+import mongoose, { Schema } from "mongoose";
+import { CAPTION_KINDS } from "../constants.js";
+
+// a subtitles or captions track of a video, uploaded as SRT or WebVTT and kept as WebVTT.
+// the text lives here and not in storage so private videos keep their captions private
+const captionTrackSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true,
+            index: true
+        },
+        language: {
+            type: String, // BCP 47 tag like "en" or "pt-BR", the srclang of the <track>
+            required: true,
+            trim: true
+        },
+        label: {
+            type: String, // shown in the player menu
+            required: true,
+            trim: true
+        },
+        kind: {
+            type: String,
+            enum: CAPTION_KINDS,
+            default: "subtitles"
+        },
+        content: {
+            type: String, // WebVTT
+            required: true,
+            select: false
+        },
+        cueCount: {
+            type: Number,
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+// one track per language and kind
+captionTrackSchema.index({ video: 1, language: 1, kind: 1 }, { unique: true })
+
+export const CaptionTrack = mongoose.model("CaptionTrack", captionTrackSchema)
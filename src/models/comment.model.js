@@ -21,6 +21,9 @@ const commentSchema = new Schema(
     }
 );
 
+// recent comments, read by jobs/trendingVideos.job.js
+commentSchema.index({ createdAt: 1 })
+
 commentSchema.plugin(mongooseAggregatePaginate);
 
 export const Comment = mongoose.model("Comment", commentSchema);
\ No newline at end of file
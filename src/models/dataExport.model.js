@@ -0,0 +1,39 @@
+import mongoose, { Schema } from "mongoose";
+
+// a personal data export requested by the user, built by jobs/dataExport.job.js
+const dataExportSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        status: {
+            type: String,
+            enum: ["queued", "processing", "ready", "failed"],
+            default: "queued"
+        },
+        filePath: {
+            type: String, // archive on the server disk, never sent to the client
+            select: false
+        },
+        fileSize: {
+            type: Number,
+        },
+        error: {
+            type: String,
+        },
+        completedAt: {
+            type: Date,
+        },
+        expiresAt: {
+            type: Date, // the archive (or the failed export) is deleted once this passes
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+export const DataExport = mongoose.model("DataExport", dataExportSchema)
@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose"
+import { visibleVideoMatch } from "../utils/videoAccess.js"
 
 const likeSchema = new Schema(
     {
@@ -24,4 +25,74 @@ const likeSchema = new Schema(
     }
 );
 
+// recent likes, read by jobs/trendingVideos.job.js
+likeSchema.index({ createdAt: 1 })
+
+// the user's liked videos with their owner, newest like first, for getLikedVideos.
+// videos the user can not see (anymore) are left out, the data export keeps them
+// (jobs/dataExport.job.js)
+likeSchema.statics.findLikedVideos = function (user) {
+    return this.aggregate([
+        {
+            $match: {
+                likedBy: new mongoose.Types.ObjectId(user._id)
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "likedVideos",
+                pipeline: [
+                    {
+                        $match: visibleVideoMatch(user)
+                    },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "ownerDetails"
+                        }
+                    },
+                    {
+                        $unwind: "$ownerDetails",
+                    },
+                ]
+            }
+        },
+        {
+            $unwind: "$likedVideos",
+        },
+        {
+            $sort: {
+                createdAt: -1,
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                likedVideos: {
+                    _id: 1,
+                    videoFile: 1,
+                    thumbnail: 1,
+                    owner: 1,
+                    title: 1,
+                    description: 1,
+                    views: 1,
+                    duration: 1,
+                    createdAt: 1,
+                    visibility: 1,
+                    ownerDetails: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1,
+                    },
+                },
+            }
+        }
+    ])
+}
+
 export const Like = mongoose.model("Like", likeSchema);
\ No newline at end of file
@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+
+// failed login counter used by the mongo attempt store, key is "account:<name>" or "ip:<address>"
+const loginAttemptSchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        count: {
+            type: Number,
+            default: 0
+        },
+        lockedUntil: {
+            type: Date,
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    }
+)
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema)
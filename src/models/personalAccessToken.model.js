@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+import { TOKEN_SCOPES } from "../constants.js";
+
+// long lived tokens for scripts and api clients, sent as "Authorization: Bearer vtp_..."
+const personalAccessTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false
+        },
+        tokenHint: {
+            type: String, // last characters of the token so users can tell them apart
+        },
+        scopes: [
+            {
+                type: String,
+                enum: TOKEN_SCOPES
+            }
+        ],
+        lastUsedAt: {
+            type: Date,
+        },
+        revokedAt: {
+            type: Date,
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+export const PersonalAccessToken = mongoose.model("PersonalAccessToken", personalAccessTokenSchema)
@@ -21,6 +21,11 @@ const playlistSchema = new Schema({
     },
 }, {timestamps: true})
 
+// fallback full text search, see search/text.driver.js
+playlistSchema.index(
+    { name: "text", description: "text" },
+    { name: "playlist_text", weights: { name: 3, description: 1 } }
+)
 
 
 export const Playlist = mongoose.model("Playlist", playlistSchema)
\ No newline at end of file
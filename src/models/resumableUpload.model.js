@@ -0,0 +1,66 @@
+import mongoose, { Schema } from "mongoose";
+import { TUS_UPLOAD_EXPIRY } from "../constants.js";
+
+// a tus upload in progress, the bytes received so far live in filePath
+const resumableUploadSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        length: {
+            type: Number, // Upload-Length, total size announced by the client
+            required: true
+        },
+        offset: {
+            type: Number,
+            default: 0
+        },
+        metadata: {
+            type: Map, // Upload-Metadata, decoded (filename, filetype, ...)
+            of: String
+        },
+        filePath: {
+            type: String,
+            required: true,
+            select: false
+        },
+        status: {
+            type: String,
+            enum: ["in-progress", "completed", "attaching"],
+            default: "in-progress"
+        },
+        completedAt: {
+            type: Date,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+// hands a finished upload to exactly one publishAVideo request
+resumableUploadSchema.statics.claimCompleted = function (uploadId, ownerId) {
+    return this.findOneAndUpdate(
+        {
+            _id: uploadId,
+            owner: ownerId,
+            status: "completed",
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            // room for the storage upload before the cleanup job may touch it
+            $set: { status: "attaching", expiresAt: new Date(Date.now() + TUS_UPLOAD_EXPIRY) }
+        },
+        { new: true }
+    ).select("+filePath")
+}
+
+export const ResumableUpload = mongoose.model("ResumableUpload", resumableUploadSchema)
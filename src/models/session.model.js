@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+// one document per signed in device, the refresh token rotates inside it
+// so a session is also the "token family" used for reuse detection
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        deviceLabel: {
+            type: String,
+            trim: true,
+            default: "Unknown device"
+        },
+        userAgent: {
+            type: String,
+        },
+        ip: {
+            type: String,
+        },
+        refreshTokenHash: {
+            type: String,
+            required: true
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        revokedAt: {
+            type: Date,
+        },
+        revokedReason: {
+            type: String,
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+// mongo removes the session once the refresh token could no longer be used anyway
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date()
+}
+
+export const Session = mongoose.model("Session", sessionSchema)
@@ -11,4 +11,7 @@ const subscriptionSchema = new Schema({
     }
 },{ timestamps:true })
 
+// the channels a user follows, read by the subscription feed
+subscriptionSchema.index({ subscriber: 1, channel: 1 })
+
 export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
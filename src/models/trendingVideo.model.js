@@ -0,0 +1,29 @@
+import mongoose, { Schema } from "mongoose";
+
+// the current trending ranking, rebuilt by jobs/trendingVideos.job.js.
+// _id is the video's id, one entry per video
+const trendingVideoSchema = new Schema(
+    {
+        _id: {
+            type: Schema.Types.ObjectId,
+            ref: "Video"
+        },
+        category: {
+            type: String,
+            required: true
+        },
+        score: {
+            type: Number,
+            required: true
+        },
+        computedAt: {
+            type: Date, // run that wrote the entry, entries of older runs are removed
+            required: true
+        }
+    }
+)
+
+trendingVideoSchema.index({ score: -1, _id: -1 })
+trendingVideoSchema.index({ category: 1, score: -1, _id: -1 })
+
+export const TrendingVideo = mongoose.model("TrendingVideo", trendingVideoSchema)
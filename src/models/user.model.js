@@ -1,6 +1,8 @@
 import mongoose, { Schema } from "mongoose";
 import  jwt  from "jsonwebtoken";
 import bcrypt from 'bcrypt';
+import { generateToken } from "../utils/tokens.js";
+import { ROLES } from "../constants.js";
 
 const userSchema = new Schema(
     {
@@ -19,31 +21,78 @@ const userSchema = new Schema(
             lowercase: true,
             trim: true,
         },
+        isEmailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerifiedAt: {
+            type: Date,
+        },
         fullName: {
             type: String,
             required: true,
             trim: true,
             index: true
         },
+        role: {
+            type: String,
+            enum: ROLES,
+            default: "user"
+        },
+        suspension: {
+            suspendedAt: Date,
+            suspendedUntil: Date, // empty means until lifted by a moderator
+            reason: String,
+            suspendedBy: {
+                type: Schema.Types.ObjectId,
+                ref: "User"
+            }
+        },
+        deletion: {
+            requestedAt: Date,
+            scheduledFor: Date, // the account is purged once this passes, see jobs/accountDeletion.job.js
+            status: {
+                type: String,
+                enum: ["scheduled", "in-progress"]
+            }
+        },
         avatar: {
-            type: String, // cloudinary url
+            type: String, // storage url, see storage/index.js
             required: true,
         },
         coverImage:{
-            type: String, // cloudinary url
+            type: String, // storage url, see storage/index.js
+        },
+        historyPaused:{
+            type: Boolean, // nothing is added to the watch history (models/watchEvent.model.js) while set
+            default: false
         },
-        watchHistory:[
-            {
-                type: Schema.Types.ObjectId,
-                ref:"Video"
-            }
-        ],
         password:{
             type: String,
             required: [true, 'Password is required']
         },
-        refreshToken:{
-            type: String,
+        twoFactor:{
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            // secrets and codes never leave the db unless explicitly selected
+            secret: {
+                type: String,
+                select: false
+            },
+            pendingSecret: {
+                type: String,
+                select: false
+            },
+            recoveryCodes: {
+                type: [String], // sha256 hashes, each removed once used
+                select: false
+            },
+            lastUsedStep: {
+                type: Number, // last accepted totp step, a code can not be replayed
+                select: false
+            }
         }
     }, 
     { 
@@ -51,6 +100,12 @@ const userSchema = new Schema(
     }
 )
 
+// channel search, see search/text.driver.js
+userSchema.index(
+    { username: "text", fullName: "text" },
+    { name: "user_text", weights: { username: 3, fullName: 2 } }
+)
+
 userSchema.pre("save", async function(next){
     if(!this.isModified("password")) return next();
 
@@ -58,14 +113,30 @@ userSchema.pre("save", async function(next){
     next()
 })
 
+userSchema.methods.isSuspended = function(){
+    const { suspendedAt, suspendedUntil } = this.suspension || {}
+    return !!suspendedAt && (!suspendedUntil || suspendedUntil > new Date())
+}
+
 userSchema.methods.isPasswordCorrect = async function(password){
     return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function(){
+// bcrypt hash of a throwaway password, compared when no user matched so an
+// unknown account takes as long to reject as a wrong password
+const DUMMY_PASSWORD_HASH = "$2b$10$Oq/wGN6qCFDLbQqfvT28IOVIWy2NcbkSIIMRueWgDXXNMit6.Jf92"
+
+userSchema.statics.simulatePasswordCheck = async function(password){
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH)
+    return false
+}
+
+// sid ties every token to a Session document so a single device can be signed out
+userSchema.methods.generateAccessToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
             email: this.email,
             username: this.username,
             fullName: this.fullName
@@ -77,10 +148,12 @@ userSchema.methods.generateAccessToken = function(){
     )
 }
 
-userSchema.methods.generateRefreshToken = function(){
+userSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
+            jti: generateToken(16) // every rotation must produce a different token
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -89,4 +162,18 @@ userSchema.methods.generateRefreshToken = function(){
     )
 }
 
+// short lived token proving the password step of a two factor login succeeded
+userSchema.methods.generateTwoFactorChallengeToken = function(){
+    return jwt.sign(
+        {
+            _id: this._id,
+            purpose: "2fa-challenge"
+        },
+        process.env.TWO_FACTOR_CHALLENGE_SECRET,
+        {
+            expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m"
+        }
+    )
+}
+
 export const User = mongoose.model('User', userSchema);
\ No newline at end of file
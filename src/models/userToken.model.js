@@ -0,0 +1,70 @@
+import mongoose, { Schema } from "mongoose";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+// single use tokens mailed to the user (email verification, password reset)
+const userTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        purpose: {
+            type: String,
+            enum: ["email-verification", "password-reset"],
+            required: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        usedAt: {
+            type: Date,
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// creates a token for the user, the raw value is returned once and never stored
+userTokenSchema.statics.issue = async function (userId, purpose, ttlMs) {
+    const token = generateToken()
+
+    await this.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    })
+
+    return token
+}
+
+// marks the token used in the same write that checks it so it can only be redeemed once
+userTokenSchema.statics.consume = async function (token, purpose) {
+    if (!token) return null;
+
+    return this.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            $set: { usedAt: new Date() }
+        },
+        { new: true }
+    )
+}
+
+export const UserToken = mongoose.model("UserToken", userTokenSchema)
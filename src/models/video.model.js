@@ -1,35 +1,143 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { VIDEO_VISIBILITIES, VIDEO_CATEGORIES } from "../constants.js";
+import { titleWords } from "../search/titleWords.js";
 
 const videoSchema = new Schema(
     {
         videoFile:{
-            type: String, // cloudinary url
+            type: String, // storage url, see storage/index.js
             required: true
         },
         thumbnail:{
-            type: String, // cloudinary url
-            required: true
+            type: String, // storage url, see storage/index.js, picked from the candidates when none is uploaded
+        },
+        thumbnailCandidates:{
+            type: [String], // storage urls of the frames extracted while transcoding
         },
         title:{
             type: String, 
             required: true
         },
+        titleWords:{
+            type: [String], // kept in sync with title, see search/titleWords.js
+            index: true
+        },
         description:{
             type: String, 
             required: true
         },
+        tags:{
+            type: [String], // normalized, see utils/tags.js
+            index: true
+        },
+        category:{
+            type: String,
+            enum: VIDEO_CATEGORIES,
+            default: "other",
+            index: true
+        },
         duration:{
-            type: Number, // cloudinary
-            required: true
+            type: Number, // seconds, from the storage driver or ffprobe
+            default: 0
+        },
+        chapters:[
+            {
+                _id: false,
+                start: Number, // seconds
+                title: String
+            }
+        ],
+        chaptersSource:{
+            // description chapters follow description edits, manual ones stay until cleared
+            type: String,
+            enum: ["description", "manual"],
+            default: "description"
+        },
+        processingStatus:{
+            // only ready videos are served, see jobs/transcode.job.js
+            type: String,
+            enum: ["queued", "processing", "ready", "failed"],
+            default: "ready"
+        },
+        processingError:{
+            type: String,
+        },
+        sourceFile:{
+            type: String, // local copy of the upload kept until it is transcoded
+            select: false
+        },
+        width:{
+            type: Number,
+        },
+        height:{
+            type: Number,
+        },
+        videoCodec:{
+            type: String,
+        },
+        hlsMaster:{
+            type: String, // storage url of the HLS master playlist
+        },
+        renditions:[
+            {
+                _id: false,
+                name: String, // "720p"
+                width: Number,
+                height: Number,
+                bandwidth: Number, // bits per second, as announced in the master playlist
+                playlist: String // storage url of the rendition playlist
+            }
+        ],
+        seekPreview:{
+            // WebVTT thumbnails track pointing into the sprite sheets, for scrubbing previews
+            track: String, // storage url of the .vtt file
+            sprites: [String], // storage urls of the sprite sheets
+            interval: Number, // seconds per tile
+            tileWidth: Number,
+            tileHeight: Number
+        },
+        hlsFiles:{
+            type: [String], // every playlist and segment url, needed to delete them
+            select: false
         },
         views:{
             type: Number,
             default:0
         },
-        isPublished:{
-            type: Boolean,
-            default: true
+        visibility:{
+            // public is listed, unlisted needs the link, private needs the allow-list or a share link
+            type: String,
+            enum: VIDEO_VISIBILITIES,
+            default: "public"
+        },
+        allowedUsers:[
+            {
+                type: Schema.Types.ObjectId, // can watch the video while it is private
+                ref: "User"
+            }
+        ],
+        publishAt:{
+            // private until then, jobs/scheduledPublish.job.js gives it publishVisibility
+            type: Date,
+            index: { sparse: true }
+        },
+        publishVisibility:{
+            type: String,
+            enum: VIDEO_VISIBILITIES
+        },
+        publishedAt:{
+            // first time the video was public and ready, what feeds sort by
+            type: Date
+        },
+        moderation:{
+            // set when a moderator takes the video down, only the owner and moderators see it
+            unpublishedAt: Date,
+            unpublishedBy: {
+                type: Schema.Types.ObjectId,
+                ref: "User"
+            },
+            reason: String
         },
         owner:{
             type: Schema.Types.ObjectId,
@@ -42,6 +150,47 @@ const videoSchema = new Schema(
     }
 )
 
+// fallback full text search, see search/text.driver.js
+videoSchema.index(
+    { title: "text", tags: "text", description: "text" },
+    { name: "video_text", weights: { title: 10, tags: 5, description: 1 } }
+)
+videoSchema.index({ owner: 1, createdAt: -1 })
+// the subscription feed, see controllers/feed.controller.js
+videoSchema.index({ owner: 1, publishedAt: -1, _id: -1 })
+
+// titleWords follow the title whichever way it is written
+videoSchema.pre("save", function (next) {
+    if (this.isModified("title")) {
+        this.titleWords = titleWords(this.title)
+    }
+    next()
+})
+
+videoSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function (next) {
+    const update = this.getUpdate()
+    const title = update?.$set?.title ?? update?.title
+
+    if (typeof title === "string") {
+        this.set("titleWords", titleWords(title))
+    }
+    next()
+})
+
+// sets publishedAt on the matching videos that just became public and ready.
+// call it after every change that can make a video public or ready
+videoSchema.statics.markPublished = function (filter) {
+    return this.updateMany(
+        {
+            ...filter,
+            visibility: "public",
+            processingStatus: "ready",
+            publishedAt: { $exists: false }
+        },
+        { $set: { publishedAt: new Date() } }
+    )
+}
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose";
+import { hashToken } from "../utils/tokens.js";
+
+// "anyone with this link" access to a video, sent as ?share=<token>
+const videoShareLinkSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true,
+            index: true
+        },
+        createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false
+        },
+        tokenHint: {
+            type: String, // last characters of the token so owners can tell links apart
+        },
+        revokedAt: {
+            type: Date,
+        },
+        expiresAt: {
+            type: Date, // never expires when not set
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+// the link only works for the video it was made for
+videoShareLinkSchema.statics.findActive = async function (videoId, token) {
+    if (!token || typeof token !== "string") return null;
+
+    return this.findOne({
+        video: videoId,
+        tokenHash: hashToken(token),
+        revokedAt: null,
+        $or: [
+            { expiresAt: null },
+            { expiresAt: { $gt: new Date() } }
+        ]
+    })
+}
+
+export const VideoShareLink = mongoose.model("VideoShareLink", videoShareLinkSchema)
@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+import { VIEW_COUNTING } from "../constants.js";
+
+// reports of the player on how long a video was watched, see controllers/view.controller.js.
+// every report is a raw event, the first one past the watch threshold per viewer and
+// window gets a second document with isView set: the view that is counted.
+// raw events are removed after VIEW_COUNTING.RAW_EVENT_TTL, views stay
+const viewEventSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        viewer: {
+            type: Schema.Types.ObjectId, // not set for anonymous viewers
+            ref: "User"
+        },
+        viewerKey: {
+            type: String, // "user:<id>" or "anon:<hmac of the ip>", raw ips are never stored
+            required: true
+        },
+        window: {
+            type: Date, // start of the de-duplication window the report fell in
+            required: true
+        },
+        watchedSeconds: {
+            type: Number,
+        },
+        isView: {
+            type: Boolean,
+            default: false
+        },
+        aggregatedAt: {
+            type: Date, // set once the view was added to Video.views
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+// a viewer adds at most one view per video and window, enforced by the database
+viewEventSchema.index(
+    { video: 1, viewerKey: 1, window: 1 },
+    { unique: true, partialFilterExpression: { isView: true } }
+)
+// views waiting for jobs/viewCount.job.js
+viewEventSchema.index({ isView: 1, aggregatedAt: 1 })
+viewEventSchema.index({ viewer: 1 })
+// recent views, read by jobs/trendingVideos.job.js
+viewEventSchema.index({ isView: 1, createdAt: 1 })
+// raw events only matter for a while, a player reporting in a loop can not grow this for ever
+viewEventSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: VIEW_COUNTING.RAW_EVENT_TTL / 1000, partialFilterExpression: { isView: false } }
+)
+
+export const ViewEvent = mongoose.model("ViewEvent", viewEventSchema)
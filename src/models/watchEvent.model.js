@@ -0,0 +1,60 @@
+import mongoose, { Schema } from "mongoose";
+import { WATCH_HISTORY } from "../constants.js";
+
+// the watch history, one document per user and video moved to the top when the
+// video is opened again and updated with the playback position the player reports
+const watchEventSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        position: {
+            type: Number, // seconds, where to resume
+            default: 0
+        },
+        completed: {
+            type: Boolean, // watched (almost) to the end, resumes from the start
+            default: false
+        },
+        lastWatchedAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+watchEventSchema.index({ user: 1, video: 1 }, { unique: true })
+watchEventSchema.index({ user: 1, lastWatchedAt: -1, _id: -1 })
+// recent viewers of a video, the co-watch signal of utils/relatedVideos.js
+watchEventSchema.index({ video: 1, lastWatchedAt: -1 })
+
+// the video was opened, the position is kept
+watchEventSchema.statics.touch = function (userId, videoId) {
+    return this.updateOne(
+        { user: userId, video: videoId },
+        { $set: { lastWatchedAt: new Date() } },
+        { upsert: true }
+    )
+}
+
+watchEventSchema.statics.savePosition = function (userId, videoId, position, duration = 0) {
+    const completed = duration > 0 && position >= duration * WATCH_HISTORY.COMPLETED_FRACTION
+
+    return this.findOneAndUpdate(
+        { user: userId, video: videoId },
+        { $set: { position: completed ? 0 : position, completed, lastWatchedAt: new Date() } },
+        { upsert: true, new: true }
+    )
+}
+
+export const WatchEvent = mongoose.model("WatchEvent", watchEventSchema)
@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import {
+    unpublishVideo,
+    restoreVideo,
+    suspendUser,
+    unsuspendUser,
+    updateUserRole,
+} from "../controllers/admin.controller.js"
+import { deleteComment } from "../controllers/comment.controller.js"
+import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { requirePermission } from "../middlewares/permission.middleware.js"
+import { PERMISSIONS } from "../constants.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/videos/:videoId/unpublish").patch(requirePermission(PERMISSIONS.VIDEOS_MODERATE), unpublishVideo);
+router.route("/videos/:videoId/restore").patch(requirePermission(PERMISSIONS.VIDEOS_MODERATE), restoreVideo);
+
+router.route("/comments/:commentId").delete(requirePermission(PERMISSIONS.COMMENTS_MODERATE), deleteComment);
+
+router.route("/users/:userId/suspend").patch(requirePermission(PERMISSIONS.USERS_SUSPEND), suspendUser);
+router.route("/users/:userId/unsuspend").patch(requirePermission(PERMISSIONS.USERS_SUSPEND), unsuspendUser);
+router.route("/users/:userId/role").patch(requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), updateUserRole);
+
+export default router
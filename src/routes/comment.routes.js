@@ -5,13 +5,13 @@ import {
     getVideoComments,
     updateComment,
 } from "../controllers/comment.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyJWT, requireVerifiedEmail} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/:videoId").get(getVideoComments).post(addComment);
+router.route("/:videoId").get(getVideoComments).post(requireVerifiedEmail, addComment);
 router.route("/c/:commentId").delete(deleteComment).patch(updateComment);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,9 @@
+import { Router } from 'express';
+import { getSubscriptionFeed } from "../controllers/feed.controller.js"
+import { verifyAccess } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.route("/subscriptions").get(verifyAccess("videos:read"), getSubscriptionFeed);
+
+export default router
@@ -0,0 +1,125 @@
+import fs from "fs"
+import { Router } from 'express';
+import { getStorage } from "../storage/index.js"
+import { videoIdFromKey, resourceTypeFor } from "../storage/keys.js"
+import { ApiError } from "../utils/ApiError.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { optionalAuth } from "../middlewares/auth.middleware.js"
+import { findViewableVideo } from "../utils/videoAccess.js"
+import { MEDIA_LINK_TTL } from "../constants.js"
+
+// serves files of the local storage driver, and the files of videos (hls, previews,
+// thumbnail candidates, see storage/keys.js) for every driver. those are as visible
+// as the video: hidden ones stay hidden and private ones need the allow-list or
+// ?share=<token> from a share link. other files of remote drivers have their own urls
+const router = Router();
+
+// playlists link their variants and segments relatively and the seek preview track
+// links its sprites, those requests need the share token too
+const TEXT_FILES = [".m3u8", ".vtt"]
+
+const isTextFile = (key) => TEXT_FILES.some((extension) => key.endsWith(extension))
+
+const withQuery = (uri, query) => {
+    const [address, fragment] = uri.split("#")
+    return `${address}${address.includes("?") ? "&" : "?"}${query}${fragment !== undefined ? `#${fragment}` : ""}`
+}
+
+const sendTextFile = (res, key, text, share) => {
+    const query = share ? `share=${encodeURIComponent(share)}` : null
+    const isPlaylist = key.endsWith(".m3u8")
+
+    const rewritten = query
+        ? text
+            .split("\n")
+            .map((line) => {
+                const uri = line.trim()
+                const isLink = isPlaylist ? uri && !uri.startsWith("#") : uri.includes("#xywh=")
+                return isLink ? withQuery(uri, query) : line
+            })
+            .join("\n")
+        : text
+
+    return res
+        .status(200)
+        .type(isPlaylist ? "application/vnd.apple.mpegurl" : "text/vtt")
+        .set("Cache-Control", "private, no-cache")
+        .send(rewritten)
+}
+
+// remote drivers: playlists and tracks are passed through so their links keep coming
+// back here, everything else is a redirect to a short lived signed link
+const serveRemoteFile = async (storage, key, share, res) => {
+    const signedUrl = await storage.getSignedUrl(key, { expiresIn: MEDIA_LINK_TTL, resourceType: resourceTypeFor(key) })
+
+    if (isTextFile(key)) {
+        const response = await fetch(signedUrl)
+        if (!response.ok) {
+            throw new ApiError(404, "File not found")
+        }
+        return sendTextFile(res, key, await response.text(), share)
+    }
+
+    return res
+        .set("Cache-Control", "private, no-cache")
+        .redirect(302, signedUrl)
+}
+
+router.get("/*", optionalAuth, asyncHandler(async (req, res, next) => {
+    const storage = getStorage()
+    const key = req.params[0]
+    const { expires, signature, share } = req.query
+    const isLocal = storage.name === "local"
+
+    const videoId = isLocal && signature ? null : videoIdFromKey(key)
+
+    if (!isLocal && !videoId) {
+        return next(new ApiError(404, "Not found"))
+    }
+
+    if (isLocal && signature && !storage.verifySignature(key, expires, signature)) {
+        return next(new ApiError(403, "Link expired or invalid"))
+    }
+
+    // original video files are only played through /api/v1/videos/:videoId/stream,
+    // which checks who may watch them, or through a signed link
+    if (!signature && key.startsWith("videos/")) {
+        return next(new ApiError(403, "Use the stream endpoint to play this video"))
+    }
+
+    if (videoId && !(await findViewableVideo(videoId, req.user, share))) {
+        return next(new ApiError(404, "File not found"))
+    }
+
+    if (!isLocal) {
+        return serveRemoteFile(storage, key, share, res)
+    }
+
+    let filePath;
+    try {
+        filePath = storage.resolvePath(key)
+    } catch (error) {
+        return next(new ApiError(400, "Invalid file path"))
+    }
+
+    if (videoId && share && isTextFile(key)) {
+        try {
+            return sendTextFile(res, key, await fs.promises.readFile(filePath, "utf8"), share)
+        } catch (error) {
+            return next(new ApiError(404, "File not found"))
+        }
+    }
+
+    // files of videos can be hidden at any time, caches must ask again
+    if (videoId) {
+        res.set("Cache-Control", "private, no-cache")
+    }
+
+    res.sendFile(filePath, (error) => {
+        if (error && !res.headersSent) {
+            next(new ApiError(error.statusCode || 404, "File not found"))
+        }
+    })
+}));
+
+export default router
@@ -8,23 +8,25 @@ import {
     removeVideoFromPlaylist,
     updatePlaylist,
 } from "../controllers/playlist.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyAccess} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+// every route also accepts personal access tokens with the matching scope
+const canRead = verifyAccess("playlists:read");
+const canWrite = verifyAccess("playlists:write");
 
-router.route("/").post(createPlaylist)
+router.route("/").post(canWrite, createPlaylist)
 
 router
     .route("/:playlistId")
-    .get(getPlaylistById)
-    .patch(updatePlaylist)
-    .delete(deletePlaylist);
+    .get(canRead, getPlaylistById)
+    .patch(canWrite, updatePlaylist)
+    .delete(canWrite, deletePlaylist);
 
-router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
-router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist);
+router.route("/add/:videoId/:playlistId").patch(canWrite, addVideoToPlaylist);
+router.route("/remove/:videoId/:playlistId").patch(canWrite, removeVideoFromPlaylist);
 
-router.route("/user/:userId").get(getUserPlaylists);
+router.route("/user/:userId").get(canRead, getUserPlaylists);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import { search, getSuggestions } from "../controllers/search.controller.js"
+import { optionalAuth } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+// public, a logged in viewer also sees the videos shared with them in playlist counts
+router.route("/").get(optionalAuth, search);
+router.route("/suggestions").get(getSuggestions);
+
+export default router
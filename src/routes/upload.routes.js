@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import {
+    tusHeaders,
+    getUploadOptions,
+    createUpload,
+    getUploadOffset,
+    patchUpload,
+    deleteUpload,
+} from "../controllers/upload.controller.js"
+import { verifyAccess } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(tusHeaders);
+
+router.route("/").options(getUploadOptions);
+
+// tus clients can send Authorization headers, so tokens with videos:write work too
+router.use(verifyAccess("videos:write"));
+
+router.route("/").post(createUpload);
+
+router
+    .route("/:uploadId")
+    .head(getUploadOffset)
+    .patch(patchUpload)
+    .delete(deleteUpload);
+
+export default router
@@ -1,17 +1,49 @@
 import { Router } from "express";
 import {
     loginUser,
+    verifyTwoFactorLogin,
     logoutUser,
     registerUser,
     refreshAccessToken,
     changeCurrentPassword,
     getCurrentUser,
     updateAccountDetails,
+    verifyEmail,
+    resendEmailVerification,
+    forgotPassword,
+    resetPassword,
     UpdateUserAvatar,
     UpdateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    removeWatchHistoryEntry,
+    clearWatchHistory,
+    setWatchHistoryPaused,
+    deleteAccount,
+    cancelAccountDeletion
 } from "../controllers/user.controller.js";
+import {
+    getSessions,
+    revokeSession,
+    revokeAllSessions
+} from "../controllers/session.controller.js";
+import {
+    enrollTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from "../controllers/twoFactor.controller.js";
+import {
+    requestDataExport,
+    getDataExports,
+    getDataExport,
+    downloadDataExport
+} from "../controllers/dataExport.controller.js";
+import {
+    createAccessToken,
+    getAccessTokens,
+    revokeAccessToken
+} from "../controllers/personalAccessToken.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 
@@ -32,18 +64,42 @@ router.route("/register").post(
 )
 
 router.route("/login").post(loginUser)
+router.route("/login/2fa").post(verifyTwoFactorLogin)
+router.route("/verify-email").post(verifyEmail)
+router.route("/forgot-password").post(forgotPassword)
+router.route("/reset-password").post(resetPassword)
 
 // secured routes
 router.route("/logout").post(verifyJWT, logoutUser)
 
 router.route("/refresh-token").post(refreshAccessToken)
 router.route("/change-password").post(verifyJWT, changeCurrentPassword)
+router.route("/resend-verification").post(verifyJWT, resendEmailVerification)
 router.route("/current-user").get(verifyJWT, getCurrentUser)
 router.route("/update-account-details").patch(verifyJWT, updateAccountDetails)
 router.route("/avatar").patch(verifyJWT, upload.single("avatar"), UpdateUserAvatar)
 router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), UpdateUserCoverImage)
 router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/history").get(verifyJWT, getWatchHistory).delete(verifyJWT, clearWatchHistory)
+router.route("/history/pause").patch(verifyJWT, setWatchHistoryPaused)
+router.route("/history/:videoId").delete(verifyJWT, removeWatchHistoryEntry)
+router.route("/me").delete(verifyJWT, deleteAccount)
+router.route("/me/cancel-deletion").post(verifyJWT, cancelAccountDeletion)
+
+router.route("/me/exports").get(verifyJWT, getDataExports).post(verifyJWT, requestDataExport)
+router.route("/me/exports/:exportId").get(verifyJWT, getDataExport)
+router.route("/me/exports/:exportId/download").get(verifyJWT, downloadDataExport)
+
+router.route("/sessions").get(verifyJWT, getSessions).delete(verifyJWT, revokeAllSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession)
+
+router.route("/tokens").get(verifyJWT, getAccessTokens).post(verifyJWT, createAccessToken)
+router.route("/tokens/:tokenId").delete(verifyJWT, revokeAccessToken)
+
+router.route("/2fa/enroll").post(verifyJWT, enrollTwoFactor)
+router.route("/2fa/confirm").post(verifyJWT, confirmTwoFactor)
+router.route("/2fa/disable").post(verifyJWT, disableTwoFactor)
+router.route("/2fa/recovery-codes").post(verifyJWT, regenerateRecoveryCodes)
 
 
 export default router;
\ No newline at end of file
@@ -4,11 +4,33 @@ import {
     getAllVideos,
     getVideoById,
     publishAVideo,
-    togglePublishStatus,
+    updateVideoVisibility,
     updateVideo,
+    streamVideo,
+    getScheduledVideos,
+    getVideoFacets,
+    getTrendingVideos,
+    getRelatedVideos,
+    cancelScheduledPublish,
 } from "../controllers/video.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
-import {upload} from "../middlewares/multer.middleware.js"
+import {
+    createShareLink,
+    getShareLinks,
+    revokeShareLink,
+    getAllowedUsers,
+    addAllowedUser,
+    removeAllowedUser,
+} from "../controllers/videoSharing.controller.js"
+import {
+    getVideoCaptions,
+    getCaptionTrack,
+    addCaptionTrack,
+    updateCaptionTrack,
+    deleteCaptionTrack,
+} from "../controllers/caption.controller.js"
+import { recordView, saveWatchProgress } from "../controllers/view.controller.js"
+import {verifyJWT, verifyAccess, requireVerifiedEmail, optionalAuth} from "../middlewares/auth.middleware.js"
+import {upload, uploadCaptions} from "../middlewares/multer.middleware.js"
 
 const router = Router();
 // router.use(verifyJWT);
@@ -28,16 +50,57 @@ router
             },
             
         ]),
-        verifyJWT,
+        verifyAccess("videos:write"),
+        requireVerifiedEmail,
         publishAVideo
     );
 
+// before /:videoId so "scheduled", "facets" and "trending" are not taken for an id
+router.route("/scheduled").get(verifyAccess("videos:read"), getScheduledVideos);
+router.route("/facets").get(getVideoFacets);
+router.route("/trending").get(getTrendingVideos);
+
 router
     .route("/:videoId")
-    .get(verifyJWT,getVideoById)
-    .delete(verifyJWT,deleteVideo)
-    .patch(upload.single("thumbnail"),verifyJWT, updateVideo);
+    .get(verifyAccess("videos:read"),getVideoById)
+    .delete(verifyAccess("videos:write"),deleteVideo)
+    .patch(upload.single("thumbnail"),verifyAccess("videos:write"), updateVideo);
+
+// anonymous viewers can play published videos, <video> elements send the login cookie
+router.route("/:videoId/stream").get(optionalAuth, streamVideo);
+
+router.route("/:videoId/schedule").delete(verifyAccess("videos:write"), cancelScheduledPublish);
+
+router.route("/:videoId/visibility").patch(verifyAccess("videos:write"), updateVideoVisibility);
+
+router
+    .route("/:videoId/share-links")
+    .get(verifyAccess("videos:read"), getShareLinks)
+    .post(verifyAccess("videos:write"), createShareLink);
+router.route("/:videoId/share-links/:linkId").delete(verifyAccess("videos:write"), revokeShareLink);
+
+router
+    .route("/:videoId/allowed-users")
+    .get(verifyAccess("videos:read"), getAllowedUsers)
+    .post(verifyAccess("videos:write"), addAllowedUser);
+router.route("/:videoId/allowed-users/:userId").delete(verifyAccess("videos:write"), removeAllowedUser);
+
+router.route("/:videoId/related").get(optionalAuth, getRelatedVideos);
 
-router.route("/toggle/publish/:videoId").patch(verifyJWT,togglePublishStatus);
+// reported by the player, anonymous viewers count too
+router.route("/:videoId/views").post(optionalAuth, recordView);
+router.route("/:videoId/progress").put(verifyJWT, saveWatchProgress);
+
+// readable like the stream, <track> elements send the login cookie.
+// caption files are only taken from signed in users
+router
+    .route("/:videoId/captions")
+    .get(optionalAuth, getVideoCaptions)
+    .post(verifyAccess("videos:write"), uploadCaptions, addCaptionTrack);
+router
+    .route("/:videoId/captions/:trackId")
+    .get(optionalAuth, getCaptionTrack)
+    .patch(verifyAccess("videos:write"), uploadCaptions, updateCaptionTrack)
+    .delete(verifyAccess("videos:write"), deleteCaptionTrack);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,62 @@
+// Atlas Search, needs these search indexes on the cluster (names can be changed with env):
+//   ATLAS_SEARCH_VIDEO_INDEX    (search-videos)    title with an autocomplete mapping, description, tags, owner
+//   ATLAS_SEARCH_USER_INDEX     (search-users)     username, fullName
+//   ATLAS_SEARCH_PLAYLIST_INDEX (search-playlists) name, description
+const createAtlasDriver = () => {
+    const videoIndex = process.env.ATLAS_SEARCH_VIDEO_INDEX || "search-videos"
+    const userIndex = process.env.ATLAS_SEARCH_USER_INDEX || "search-users"
+    const playlistIndex = process.env.ATLAS_SEARCH_PLAYLIST_INDEX || "search-playlists"
+
+    const boosted = (query, path, value) => ({
+        text: { query, path, ...(value && { score: { boost: { value } } }) }
+    })
+
+    const withScore = (search) => [
+        { $search: search },
+        { $addFields: { searchScore: { $meta: "searchScore" } } }
+    ]
+
+    return {
+        name: "atlas",
+
+        videoStages(query, { channelIds = [] } = {}) {
+            return withScore({
+                index: videoIndex,
+                compound: {
+                    should: [
+                        boosted(query, "title", 3),
+                        boosted(query, "tags", 2),
+                        boosted(query, "description"),
+                        ...(channelIds.length ? [{ in: { path: "owner", value: channelIds, score: { boost: { value: 1.5 } } } }] : [])
+                    ],
+                    minimumShouldMatch: 1
+                }
+            })
+        },
+
+        channelStages(query) {
+            return withScore({
+                index: userIndex,
+                text: { query, path: ["username", "fullName"] }
+            })
+        },
+
+        playlistStages(query) {
+            return withScore({
+                index: playlistIndex,
+                compound: {
+                    should: [boosted(query, "name", 2), boosted(query, "description")],
+                    minimumShouldMatch: 1
+                }
+            })
+        },
+
+        titleSuggestionStages(prefix) {
+            return [
+                { $search: { index: videoIndex, autocomplete: { query: prefix, path: "title" } } }
+            ]
+        }
+    }
+}
+
+export { createAtlasDriver }
@@ -0,0 +1,165 @@
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { createAtlasDriver } from "./atlas.driver.js";
+import { createTextDriver } from "./text.driver.js";
+import { escapeRegex } from "./regex.js";
+import { normalizeTag } from "../utils/tags.js";
+import { listedVideoMatch, visibleVideoMatch } from "../utils/videoAccess.js";
+import { SEARCH_LIMITS } from "../constants.js";
+
+// full text search, the driver is picked with SEARCH_DRIVER (text, atlas)
+// every driver implements, each returning the stages that have to start a pipeline
+// and set a searchScore field (higher is more relevant):
+//   videoStages(query, { channelIds }) videos by title, tags, description, and owner in channelIds
+//   channelStages(query)               users by username and full name
+//   playlistStages(query)              playlists by name and description
+//   titleSuggestionStages(prefix)      videos whose title has a word starting with prefix
+
+const drivers = {
+    text: createTextDriver,
+    atlas: createAtlasDriver
+}
+
+let search;
+
+const getSearch = () => {
+    if (!search) {
+        const name = process.env.SEARCH_DRIVER || "text"
+        if (!drivers[name]) {
+            throw new Error(`Unknown search driver "${name}"`)
+        }
+        search = drivers[name]()
+    }
+    return search
+}
+
+const findChannelIds = async (query) => {
+    const channels = await User.aggregate([
+        ...getSearch().channelStages(query),
+        { $sort: { searchScore: -1 } },
+        { $limit: SEARCH_LIMITS.MATCHED_CHANNELS },
+        { $project: { _id: 1 } }
+    ])
+    return channels.map((channel) => channel._id)
+}
+
+// stages that start a video pipeline, videos of channels whose name matches count as matches too.
+// they do not filter on visibility, follow them with a listedVideoMatch()
+const videoSearchStages = async (query) => {
+    return getSearch().videoStages(query, { channelIds: await findChannelIds(query) })
+}
+
+const searchChannels = async (query, limit = SEARCH_LIMITS.CHANNELS) => {
+    return User.aggregate([
+        ...getSearch().channelStages(query),
+        { $sort: { searchScore: -1 } },
+        { $limit: limit },
+        {
+            $lookup: {
+                from: "subscriptions",
+                localField: "_id",
+                foreignField: "channel",
+                as: "subscribers"
+            }
+        },
+        {
+            $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+                subscribersCount: { $size: "$subscribers" },
+                searchScore: 1
+            }
+        }
+    ])
+}
+
+// playlists are public, only the videos the viewer may see are counted
+const searchPlaylists = async (query, viewer, limit = SEARCH_LIMITS.PLAYLISTS) => {
+    return Playlist.aggregate([
+        ...getSearch().playlistStages(query),
+        { $sort: { searchScore: -1 } },
+        { $limit: limit },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "videos",
+                foreignField: "_id",
+                as: "videos",
+                pipeline: [
+                    { $match: visibleVideoMatch(viewer) },
+                    { $project: { thumbnail: 1 } }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    { $project: { username: 1, fullName: 1, avatar: 1 } }
+                ]
+            }
+        },
+        {
+            $project: {
+                name: 1,
+                description: 1,
+                owner: { $first: "$owner" },
+                totalVideos: { $size: "$videos" },
+                thumbnail: { $first: "$videos.thumbnail" },
+                updatedAt: 1,
+                searchScore: 1
+            }
+        }
+    ])
+}
+
+// autocomplete from video titles, tags and channel names, titles first
+const suggest = async (prefix, limit = SEARCH_LIMITS.SUGGESTIONS) => {
+    const titles = await Video.aggregate([
+        ...getSearch().titleSuggestionStages(prefix),
+        { $match: listedVideoMatch() },
+        { $sort: { views: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, text: "$title" } }
+    ])
+
+    // tags and usernames are stored lowercase, a case sensitive prefix can use their indexes
+    const tagPrefix = normalizeTag(prefix)
+    const tags = tagPrefix
+        ? await Video.aggregate([
+            { $match: { ...listedVideoMatch(), tags: { $regex: `^${escapeRegex(tagPrefix)}` } } },
+            { $unwind: "$tags" },
+            { $match: { tags: { $regex: `^${escapeRegex(tagPrefix)}` } } },
+            { $group: { _id: "$tags", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, text: "$_id" } }
+        ])
+        : []
+
+    const channels = await User.find({ username: { $regex: `^${escapeRegex(prefix.toLowerCase())}` } })
+        .select("username")
+        .limit(limit)
+        .lean()
+
+    const seen = new Set()
+    return [
+        ...titles.map(({ text }) => ({ text, type: "video" })),
+        ...tags.map(({ text }) => ({ text, type: "tag" })),
+        ...channels.map(({ username }) => ({ text: username, type: "channel" }))
+    ]
+        .filter(({ text }) => {
+            const key = text.toLowerCase()
+            if (seen.has(key)) return false;
+            seen.add(key)
+            return true
+        })
+        .slice(0, limit)
+}
+
+export { getSearch, videoSearchStages, searchChannels, searchPlaylists, suggest }
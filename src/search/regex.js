@@ -0,0 +1,4 @@
+// user input used inside a $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+export { escapeRegex }
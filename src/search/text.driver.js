@@ -0,0 +1,61 @@
+import { escapeRegex } from "./regex.js";
+import { titleWords } from "./titleWords.js";
+
+// standard MongoDB text indexes, works on any deployment. the indexes are
+// declared on the Video, User and Playlist schemas with the field weights
+const CHANNEL_MATCH_SCORE = 1.5 // videos of a channel whose name matches
+
+const createTextDriver = () => {
+    const textStages = (query) => [
+        { $match: { $text: { $search: query } } },
+        { $addFields: { searchScore: { $meta: "textScore" } } }
+    ]
+
+    return {
+        name: "text",
+
+        videoStages(query, { channelIds = [] } = {}) {
+            if (!channelIds.length) return textStages(query);
+
+            // every $or clause has to be indexed for $text to be used in it (owner is)
+            return [
+                { $match: { $or: [{ $text: { $search: query } }, { owner: { $in: channelIds } }] } },
+                {
+                    $addFields: {
+                        searchScore: {
+                            $add: [
+                                { $ifNull: [{ $meta: "textScore" }, 0] },
+                                { $cond: [{ $in: ["$owner", channelIds] }, CHANNEL_MATCH_SCORE, 0] }
+                            ]
+                        }
+                    }
+                }
+            ]
+        },
+
+        channelStages: textStages,
+
+        playlistStages: textStages,
+
+        // text indexes match whole words only. the indexed titleWords are matched instead:
+        // every finished word of the prefix exactly, the last one as an anchored prefix
+        titleSuggestionStages(prefix) {
+            const words = titleWords(prefix)
+            if (!words.length) return [{ $match: { _id: null } }];
+
+            const last = words.pop()
+            return [
+                {
+                    $match: {
+                        $and: [
+                            ...words.map((word) => ({ titleWords: word })),
+                            { titleWords: { $regex: `^${escapeRegex(last)}` } }
+                        ]
+                    }
+                }
+            ]
+        }
+    }
+}
+
+export { createTextDriver }
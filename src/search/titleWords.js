@@ -0,0 +1,18 @@
+// the words of a video title as stored in Video.titleWords: lowercase, without
+// accents, split on anything that is not a letter or digit. an anchored prefix
+// regex on that indexed field is what serves title autocomplete
+
+const TITLE_WORDS_MAX = 30
+
+const titleWords = (text = "") => {
+    const words = String(text)
+        .normalize("NFKD")
+        .replace(/\p{M}/gu, "")
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+
+    return [...new Set(words)].slice(0, TITLE_WORDS_MAX)
+}
+
+export { titleWords }
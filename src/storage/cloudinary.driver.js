@@ -0,0 +1,97 @@
+import { v2 as cloudinary } from "cloudinary";
+import { videoIdFromKey, mediaBaseUrl } from "./keys.js";
+
+// Cloudinary hosts and transforms the files, keys are cloudinary public ids.
+// the files of a video (see videoIdFromKey) are uploaded as "authenticated" and served
+// through /media, their key there is the storage key with its extension
+const createCloudinaryDriver = () => {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+
+    // cloudinary adds the extension itself to images and videos, raw files keep it in the public id
+    const publicIdFor = (key, resourceType) => {
+        return resourceType === "raw" ? key : key.replace(/\.[a-z0-9]+$/i, "")
+    }
+
+    // keys of video files carry the extension, other keys already are public ids
+    const publicIdOf = (key, resourceType) => {
+        return videoIdFromKey(key) ? publicIdFor(key, resourceType) : key
+    }
+
+    const deliveryType = (key) => videoIdFromKey(key) ? "authenticated" : "upload"
+
+    return {
+        name: "cloudinary",
+
+        async upload(localPath, { folder, key, resourceType = "auto" } = {}) {
+            const isVideoFile = !!(key && videoIdFromKey(key))
+
+            const response = await cloudinary.uploader.upload(localPath, {
+                resource_type: resourceType,
+                ...(key ? { public_id: publicIdFor(key, resourceType) } : { folder }),
+                ...(isVideoFile && { type: "authenticated" })
+            })
+
+            return {
+                key: isVideoFile ? key : response.public_id,
+                url: isVideoFile ? `${mediaBaseUrl()}/${key}` : response.url,
+                bytes: response.bytes,
+                contentType: `${response.resource_type}/${response.format}`,
+                duration: response.duration
+            }
+        },
+
+        async delete(key, { resourceType = "image" } = {}) {
+            await cloudinary.uploader.destroy(publicIdOf(key, resourceType), {
+                resource_type: resourceType,
+                type: deliveryType(key)
+            })
+        },
+
+        async getSignedUrl(key, { resourceType = "image" } = {}) {
+            const format = resourceType !== "raw" && videoIdFromKey(key) ? key.match(/\.([a-z0-9]+)$/i)?.[1] : undefined
+
+            return cloudinary.url(publicIdOf(key, resourceType), {
+                resource_type: resourceType,
+                type: deliveryType(key),
+                ...(format && { format }),
+                sign_url: true,
+                secure: true
+            })
+        },
+
+        async stat(key, { resourceType = "image" } = {}) {
+            try {
+                const resource = await cloudinary.api.resource(
+                    publicIdOf(key, resourceType),
+                    { resource_type: resourceType, type: deliveryType(key) }
+                )
+                return {
+                    size: resource.bytes,
+                    contentType: `${resource.resource_type}/${resource.format}`,
+                    lastModified: new Date(resource.created_at)
+                }
+            } catch (error) {
+                if (error.error?.http_code === 404) return null;
+                throw error
+            }
+        },
+
+        // https://res.cloudinary.com/<cloud>/<type>/upload/v123/<folder>/<id>.<ext> -> <folder>/<id>
+        // <MEDIA_BASE_URL>/media/<key> -> <key>
+        keyFromUrl(url) {
+            const mediaPrefix = `${mediaBaseUrl()}/`
+            if (url?.startsWith(mediaPrefix)) return url.slice(mediaPrefix.length);
+
+            if (!url?.includes("cloudinary.com")) return null;
+
+            const match = url.match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i)
+            return match ? match[1] : null
+        }
+    }
+}
+
+export { createCloudinaryDriver }
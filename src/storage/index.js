@@ -0,0 +1,63 @@
+import fs from "fs";
+import { createLocalDriver } from "./local.driver.js";
+import { createS3Driver } from "./s3.driver.js";
+import { createCloudinaryDriver } from "./cloudinary.driver.js";
+
+// media storage, the driver is picked with STORAGE_DRIVER (local, s3, cloudinary)
+// every driver implements:
+//   upload(localPath, { folder, key, resourceType, contentType }) -> { key, url, bytes, contentType, duration? }
+//   delete(key, { resourceType })
+//   getSignedUrl(key, { expiresIn, resourceType }) -> url
+//   stat(key, { resourceType }) -> { size, contentType, lastModified } | null
+//   keyFromUrl(url) -> key | null, so documents can keep storing plain urls
+
+const drivers = {
+    local: createLocalDriver,
+    s3: createS3Driver,
+    cloudinary: createCloudinaryDriver
+}
+
+let storage;
+
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || "cloudinary"
+        if (!drivers[name]) {
+            throw new Error(`Unknown storage driver "${name}"`)
+        }
+        storage = drivers[name]()
+    }
+    return storage
+}
+
+// uploads a file multer saved to public/temp and always removes the temp file,
+// returns null when the upload failed so controllers can answer with a 400
+const uploadFile = async (localPath, options = {}) => {
+    if (!localPath) {
+        return null
+    }
+
+    try {
+        return await getStorage().upload(localPath, options)
+    } catch (error) {
+        console.log("upload to storage failed", error);
+        return null
+    } finally {
+        await fs.promises.rm(localPath, { force: true })
+    }
+}
+
+// deletes the file behind a url saved on a document, failures are only logged
+// since a leftover file must never break the request that replaced it
+const deleteFileByUrl = async (url, options = {}) => {
+    const key = getStorage().keyFromUrl(url)
+    if (!key) return;
+
+    try {
+        await getStorage().delete(key, options)
+    } catch (error) {
+        console.log("delete from storage failed", error);
+    }
+}
+
+export { getStorage, uploadFile, deleteFileByUrl }
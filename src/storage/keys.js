@@ -0,0 +1,47 @@
+import path from "path";
+import crypto from "crypto";
+
+const CONTENT_TYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".mp4": "video/mp4",
+    ".webm": "video/webm",
+    ".mov": "video/quicktime",
+    ".mkv": "video/x-matroska",
+    ".m3u8": "application/vnd.apple.mpegurl",
+    ".ts": "video/mp2t",
+    ".vtt": "text/vtt"
+}
+
+// "<folder>/<time>-<random>.<ext>", keeps the extension of the uploaded file
+const buildKey = (folder = "uploads", localPath = "") => {
+    const extension = path.extname(localPath).toLowerCase()
+    return `${folder}/${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extension}`
+}
+
+const guessContentType = (key) => {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream"
+}
+
+// files of a video kept as "<folder>/<videoId>/<file>" (hls, previews, thumbnail candidates).
+// they are as visible as the video: every driver stores them privately and hands out
+// a url of routes/media.routes.js, which checks access before serving or signing them
+const VIDEO_FOLDERS = ["hls", "previews", "thumbnails"]
+
+// the video id of such a key, null for any other key
+const videoIdFromKey = (key = "") => {
+    const [folder, videoId, file] = key.split("/")
+    return VIDEO_FOLDERS.includes(folder) && file && /^[a-f0-9]{24}$/i.test(videoId) ? videoId : null
+}
+
+const mediaBaseUrl = () => `${process.env.MEDIA_BASE_URL || ""}/media`
+
+// image or raw, how cloudinary stores a video folder file
+const resourceTypeFor = (key) => {
+    return guessContentType(key).startsWith("image/") ? "image" : "raw"
+}
+
+export { buildKey, guessContentType, videoIdFromKey, mediaBaseUrl, resourceTypeFor }
@@ -0,0 +1,93 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { buildKey, guessContentType, mediaBaseUrl } from "./keys.js";
+
+// files live on this server's disk under LOCAL_STORAGE_ROOT and are served by routes/media.routes.js
+const createLocalDriver = () => {
+    const root = path.resolve(process.env.LOCAL_STORAGE_ROOT || "./storage")
+    const baseUrl = mediaBaseUrl()
+
+    const signingSecret = () => {
+        if (!process.env.MEDIA_SIGNING_SECRET) {
+            throw new Error("MEDIA_SIGNING_SECRET is required for signed urls")
+        }
+        return process.env.MEDIA_SIGNING_SECRET
+    }
+
+    // keys come from urls and requests, never let one point outside the root
+    const resolvePath = (key) => {
+        const filePath = path.resolve(root, key)
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error("Invalid storage key")
+        }
+        return filePath
+    }
+
+    const sign = (key, expires) => {
+        return crypto.createHmac("sha256", signingSecret()).update(`${key}:${expires}`).digest("base64url")
+    }
+
+    return {
+        name: "local",
+
+        async upload(localPath, { folder, key, contentType } = {}) {
+            const storageKey = key || buildKey(folder, localPath)
+            const filePath = resolvePath(storageKey)
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+            await fs.promises.copyFile(localPath, filePath)
+            const { size } = await fs.promises.stat(filePath)
+
+            return {
+                key: storageKey,
+                url: `${baseUrl}/${storageKey}`,
+                bytes: size,
+                contentType: contentType || guessContentType(storageKey)
+            }
+        },
+
+        async delete(key) {
+            await fs.promises.rm(resolvePath(key), { force: true })
+        },
+
+        async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn
+            return `${baseUrl}/${key}?expires=${expires}&signature=${sign(key, expires)}`
+        },
+
+        async stat(key) {
+            try {
+                const stats = await fs.promises.stat(resolvePath(key))
+                if (!stats.isFile()) return null;
+
+                return {
+                    size: stats.size,
+                    contentType: guessContentType(key),
+                    lastModified: stats.mtime
+                }
+            } catch (error) {
+                if (error.code === "ENOENT") return null;
+                throw error
+            }
+        },
+
+        keyFromUrl(url) {
+            const prefix = `${baseUrl}/`
+            return url?.startsWith(prefix) ? url.slice(prefix.length) : null
+        },
+
+        // only for the local driver, used to serve and stream files
+        resolvePath,
+
+        verifySignature(key, expires, signature) {
+            if (!expires || !signature || Number(expires) * 1000 < Date.now()) return false;
+
+            const expected = Buffer.from(sign(key, expires))
+            const given = Buffer.from(String(signature))
+            return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+        }
+    }
+}
+
+export { createLocalDriver }
@@ -0,0 +1,95 @@
+import fs from "fs";
+import {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { buildKey, guessContentType, videoIdFromKey, mediaBaseUrl } from "./keys.js";
+
+// any s3 compatible service, set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for MinIO and the like.
+// the files of a video (hls/, previews/, thumbnails/<videoId>/) are served through /media with
+// short lived signed links, a bucket policy must not make those prefixes publicly readable
+const createS3Driver = () => {
+    const bucket = process.env.S3_BUCKET
+
+    if (!bucket) {
+        throw new Error("S3_BUCKET is required for the s3 storage driver")
+    }
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    })
+
+    // where objects are publicly readable, a cdn or the bucket itself
+    const publicBaseUrl = (
+        process.env.S3_PUBLIC_URL ||
+        (process.env.S3_ENDPOINT
+            ? `${process.env.S3_ENDPOINT}/${bucket}`
+            : `https://${bucket}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`)
+    ).replace(/\/$/, "")
+
+    return {
+        name: "s3",
+
+        async upload(localPath, { folder, key, contentType } = {}) {
+            const storageKey = key || buildKey(folder, localPath)
+            const { size } = await fs.promises.stat(localPath)
+            const type = contentType || guessContentType(storageKey)
+
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: storageKey,
+                Body: fs.createReadStream(localPath),
+                ContentLength: size,
+                ContentType: type
+            }))
+
+            return {
+                key: storageKey,
+                url: `${videoIdFromKey(storageKey) ? mediaBaseUrl() : publicBaseUrl}/${storageKey}`,
+                bytes: size,
+                contentType: type
+            }
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+        },
+
+        async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+            return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn })
+        },
+
+        async stat(key) {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }))
+                return {
+                    size: head.ContentLength,
+                    contentType: head.ContentType,
+                    lastModified: head.LastModified
+                }
+            } catch (error) {
+                if (error.$metadata?.httpStatusCode === 404) return null;
+                throw error
+            }
+        },
+
+        keyFromUrl(url) {
+            for (const prefix of [`${publicBaseUrl}/`, `${mediaBaseUrl()}/`]) {
+                if (url?.startsWith(prefix)) return decodeURIComponent(url.slice(prefix.length));
+            }
+            return null
+        }
+    }
+}
+
+export { createS3Driver }
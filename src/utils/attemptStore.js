@@ -0,0 +1,89 @@
+import { LoginAttempt } from "../models/loginAttempt.model.js";
+
+// counter stores used by loginThrottle, chosen with LOGIN_ATTEMPT_STORE
+// both expose the same methods:
+//   get(key)                            -> { count, lockedUntil } | null
+//   increment(key, expiresAt)           -> { count, lockedUntil }
+//   lock(key, lockedUntil, expiresAt)
+//   reset(key)
+
+// single process only, meant for tests and local development
+class MemoryAttemptStore {
+    constructor() {
+        this.entries = new Map()
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key)
+        if (!entry) return null;
+
+        if (entry.expiresAt <= new Date()) {
+            this.entries.delete(key)
+            return null
+        }
+        return { count: entry.count, lockedUntil: entry.lockedUntil }
+    }
+
+    async increment(key, expiresAt) {
+        const entry = (await this.get(key)) || { count: 0 }
+        const updated = { ...entry, count: entry.count + 1, expiresAt }
+        this.entries.set(key, updated)
+        return { count: updated.count, lockedUntil: updated.lockedUntil }
+    }
+
+    async lock(key, lockedUntil, expiresAt) {
+        const entry = this.entries.get(key) || { count: 0 }
+        this.entries.set(key, { ...entry, lockedUntil, expiresAt })
+    }
+
+    async reset(key) {
+        this.entries.delete(key)
+    }
+}
+
+// shared by every app instance, expired counters are removed by a ttl index
+class MongoAttemptStore {
+    async get(key) {
+        return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } })
+            .select("count lockedUntil")
+            .lean()
+    }
+
+    async increment(key, expiresAt) {
+        // the ttl monitor only runs every minute, start over on counters that already expired
+        await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date() } })
+
+        return LoginAttempt.findOneAndUpdate(
+            { key },
+            {
+                $inc: { count: 1 },
+                $set: { expiresAt }
+            },
+            { upsert: true, new: true }
+        )
+            .select("count lockedUntil")
+            .lean()
+    }
+
+    async lock(key, lockedUntil, expiresAt) {
+        await LoginAttempt.updateOne({ key }, { $set: { lockedUntil, expiresAt } })
+    }
+
+    async reset(key) {
+        await LoginAttempt.deleteOne({ key })
+    }
+}
+
+const stores = {
+    memory: () => new MemoryAttemptStore(),
+    mongo: () => new MongoAttemptStore()
+}
+
+const createAttemptStore = (name = process.env.LOGIN_ATTEMPT_STORE || "mongo") => {
+    if (!stores[name]) {
+        throw new Error(`Unknown login attempt store "${name}"`)
+    }
+    return stores[name]()
+}
+
+export { MemoryAttemptStore, MongoAttemptStore, createAttemptStore }
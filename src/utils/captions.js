@@ -0,0 +1,107 @@
+import { ApiError } from "./ApiError.js";
+
+// SRT and WebVTT caption files, both are parsed into cues and stored as WebVTT
+
+// 01:02:03.456, hours are optional in WebVTT, SRT uses a comma before the milliseconds
+const TIMESTAMP = /^(?:(\d+):)?([0-5]\d):([0-5]\d)[.,](\d{3})$/
+
+// tags WebVTT understands, anything else (SRT <font>, stray html) is dropped
+const VTT_TAGS = /<(?!\/?(?:b|i|u|c|v|lang|ruby|rt)(?:[\s.>]))\/?[^>]*>/gi
+
+const parseTimestamp = (value) => {
+    const match = TIMESTAMP.exec(value)
+    if (!match) return null;
+
+    const [, hours = "0", minutes, seconds, milliseconds] = match
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(milliseconds) / 1000
+}
+
+const formatVttTimestamp = (seconds) => {
+    const milliseconds = Math.round(seconds * 1000)
+    const hours = String(Math.floor(milliseconds / 3600000)).padStart(2, "0")
+    const minutes = String(Math.floor(milliseconds / 60000) % 60).padStart(2, "0")
+    const secs = String(Math.floor(milliseconds / 1000) % 60).padStart(2, "0")
+    return `${hours}:${minutes}:${secs}.${String(milliseconds % 1000).padStart(3, "0")}`
+}
+
+const invalid = (message) => new ApiError(400, `Invalid caption file: ${message}`)
+
+// [{ start, end, settings, text }], throws a 400 naming the first broken cue
+const parseCaptions = (input) => {
+    const text = input.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n")
+    const isVtt = /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(text)
+
+    const blocks = text.split(/\n[ \t]*\n/).map((block) => block.trim()).filter(Boolean)
+
+    // the header block ("WEBVTT" and its metadata) carries no cues
+    if (isVtt) blocks.shift();
+
+    const cues = []
+    for (const block of blocks) {
+        const lines = block.split("\n")
+
+        // comments, styles and regions are not cues
+        if (isVtt && /^(NOTE|STYLE|REGION)(\s|$)/.test(lines[0])) continue;
+
+        const number = cues.length + 1
+        // an optional cue identifier (the SRT counter) comes before the timing line
+        const timingIndex = lines[0].includes("-->") ? 0 : 1
+        const timing = lines[timingIndex]?.match(/^(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+(.*))?$/)
+
+        if (!timing) {
+            throw invalid(`cue ${number} has no "start --> end" timing line`)
+        }
+
+        const start = parseTimestamp(timing[1])
+        const end = parseTimestamp(timing[2])
+
+        if (start === null || end === null) {
+            throw invalid(`cue ${number} has a malformed timestamp`)
+        }
+
+        if (end <= start) {
+            throw invalid(`cue ${number} ends before it starts`)
+        }
+
+        if (cues.length && start < cues[cues.length - 1].start) {
+            throw invalid(`cue ${number} starts before the previous cue`)
+        }
+
+        const cueText = lines.slice(timingIndex + 1).join("\n").replace(VTT_TAGS, "").trim()
+
+        if (!cueText) {
+            throw invalid(`cue ${number} has no text`)
+        }
+
+        if (cueText.includes("-->")) {
+            throw invalid(`cue ${number} contains "-->" in its text`)
+        }
+
+        cues.push({
+            start,
+            end,
+            // positioning settings only exist in WebVTT
+            settings: isVtt ? timing[3]?.trim() : undefined,
+            text: cueText
+        })
+    }
+
+    if (!cues.length) {
+        throw invalid("no cues found")
+    }
+
+    return cues
+}
+
+const toWebVtt = (cues) => {
+    const lines = ["WEBVTT", ""]
+
+    for (const cue of cues) {
+        lines.push(`${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ""}`)
+        lines.push(cue.text)
+        lines.push("")
+    }
+    return lines.join("\n")
+}
+
+export { parseCaptions, toWebVtt, formatVttTimestamp }
@@ -0,0 +1,129 @@
+import { ApiError } from "./ApiError.js";
+import { CHAPTERS } from "../constants.js";
+
+// chapters come from "00:00 Intro" lines in the description, or from an explicit
+// list that then stays until the owner clears it. both follow the same rules:
+// the first starts at 0:00, starts go up, every chapter is at least
+// CHAPTERS.MIN_LENGTH seconds long and (once the duration is known) starts inside the video.
+
+// 1:02:03, 02:03 or 2:03, optionally followed by a dash or colon before the title
+const CHAPTER_LINE = /^\s*(?:[-*•]\s*)?\(?((?:\d{1,2}:)?\d{1,2}:\d{2})\)?\s*(?:[-–—:|]\s*)?(.+?)\s*$/
+
+const parseTime = (value) => {
+    if (typeof value === "number") return value;
+
+    const parts = String(value).split(":").map(Number)
+    if (parts.length < 2 || parts.length > 3 || parts.some((part) => !Number.isInteger(part) || part < 0)) return NaN;
+
+    const [seconds, minutes, hours = 0] = parts.reverse()
+    if (seconds > 59 || (parts.length === 3 && minutes > 59)) return NaN;
+
+    return hours * 3600 + minutes * 60 + seconds
+}
+
+// null when the chapters are fine, otherwise what is wrong with them
+const validateChapters = (chapters, duration = 0) => {
+    if (chapters.length < CHAPTERS.MIN_COUNT) {
+        return `at least ${CHAPTERS.MIN_COUNT} chapters are needed`
+    }
+
+    if (chapters.length > CHAPTERS.MAX_COUNT) {
+        return `a video can not have more than ${CHAPTERS.MAX_COUNT} chapters`
+    }
+
+    if (chapters[0].start !== 0) {
+        return "the first chapter must start at 0:00"
+    }
+
+    for (let index = 0; index < chapters.length; index++) {
+        const { start, title } = chapters[index]
+
+        if (!Number.isFinite(start) || start < 0) {
+            return `chapter ${index + 1} has an invalid start time`
+        }
+
+        if (!title) {
+            return `chapter ${index + 1} has no title`
+        }
+
+        if (title.length > CHAPTERS.TITLE_MAX_LENGTH) {
+            return `chapter ${index + 1} has a title longer than ${CHAPTERS.TITLE_MAX_LENGTH} characters`
+        }
+
+        if (index > 0 && start <= chapters[index - 1].start) {
+            return `chapter ${index + 1} does not start after chapter ${index}`
+        }
+
+        if (duration > 0 && start >= duration) {
+            return `chapter ${index + 1} starts after the end of the video`
+        }
+
+        // the last chapter runs to the end, unknown until the video is processed
+        const end = index < chapters.length - 1 ? chapters[index + 1].start : duration
+        if (end > start && end - start < CHAPTERS.MIN_LENGTH) {
+            return `chapter ${index + 1} is shorter than ${CHAPTERS.MIN_LENGTH} seconds`
+        }
+    }
+
+    return null
+}
+
+// description chapters are optional, text that does not make valid chapters gives none
+const chaptersFromDescription = (description = "", duration = 0) => {
+    const chapters = []
+
+    for (const line of description.split(/\r?\n/)) {
+        const match = CHAPTER_LINE.exec(line)
+        if (!match) continue;
+
+        chapters.push({ start: parseTime(match[1]), title: match[2] })
+    }
+
+    return validateChapters(chapters, duration) ? [] : chapters
+}
+
+// an explicit chapters payload, [{ start: 0 | "0:00", title }] or its JSON (multipart forms)
+const parseChaptersInput = (input, duration = 0) => {
+    let chapters = input
+
+    if (typeof chapters === "string") {
+        try {
+            chapters = JSON.parse(chapters)
+        } catch (error) {
+            throw new ApiError(400, "chapters must be a JSON array")
+        }
+    }
+
+    if (!Array.isArray(chapters)) {
+        throw new ApiError(400, "chapters must be an array of { start, title }")
+    }
+
+    const normalized = chapters.map((chapter) => ({
+        start: parseTime(chapter?.start),
+        title: typeof chapter?.title === "string" ? chapter.title.trim() : ""
+    }))
+
+    // an empty list hands the chapters back to the description
+    if (!normalized.length) return normalized;
+
+    const error = validateChapters(normalized, duration)
+    if (error) {
+        throw new ApiError(400, `Invalid chapters: ${error}`)
+    }
+
+    return normalized
+}
+
+// { chapters, chaptersSource } of a video for its (new) duration. explicit chapters
+// that do not fit it hand over to the description, later edits of it count again
+const resolveChapters = (video, duration) => {
+    if (video.chaptersSource === "manual") {
+        const chapters = video.chapters.map(({ start, title }) => ({ start, title }))
+        if (!validateChapters(chapters, duration)) {
+            return { chapters, chaptersSource: "manual" }
+        }
+    }
+    return { chapters: chaptersFromDescription(video.description, duration), chaptersSource: "description" }
+}
+
+export { validateChapters, chaptersFromDescription, parseChaptersInput, resolveChapters }
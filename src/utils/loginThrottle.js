@@ -0,0 +1,84 @@
+import { AuditLog } from "../models/auditLog.model.js";
+import { createAttemptStore } from "./attemptStore.js";
+import { LOGIN_THROTTLE } from "../constants.js";
+
+let store;
+
+const getStore = () => {
+    if (!store) {
+        store = createAttemptStore()
+    }
+    return store
+}
+
+// lets tests swap in a MemoryAttemptStore
+const setAttemptStore = (attemptStore) => {
+    store = attemptStore
+}
+
+// account is a user id, or the name that was typed in when no user matched
+const accountKey = (account) => `account:${String(account).trim().toLowerCase()}`
+const ipKey = (ip) => `ip:${ip}`
+
+// seconds until every lock on the given account/ip is over, 0 when not locked
+const getLockoutSeconds = async ({ account, ip }) => {
+    const entries = await Promise.all([
+        getStore().get(accountKey(account)),
+        getStore().get(ipKey(ip))
+    ])
+
+    const lockedUntil = Math.max(0, ...entries.map((entry) => entry?.lockedUntil?.getTime() || 0))
+
+    return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000))
+}
+
+// each failure past the threshold doubles the lock, capped at MAX_LOCK
+const lockDuration = (count, threshold) => {
+    return Math.min(LOGIN_THROTTLE.BASE_LOCK * 2 ** (count - threshold), LOGIN_THROTTLE.MAX_LOCK)
+}
+
+const countFailure = async (key, threshold) => {
+    const now = Date.now()
+    const { count } = await getStore().increment(key, new Date(now + LOGIN_THROTTLE.WINDOW))
+
+    if (count < threshold) return null;
+
+    const duration = lockDuration(count, threshold)
+    const lockedUntil = new Date(now + duration)
+    // keep the counter around at least as long as the lock so the next lock doubles
+    await getStore().lock(key, lockedUntil, new Date(now + Math.max(duration, LOGIN_THROTTLE.WINDOW)))
+
+    return { count, lockedUntil }
+}
+
+// counted for the account name even when no such user exists, so lockouts do not reveal accounts
+const recordFailedLogin = async ({ account, ip, userId }) => {
+    const accountLock = await countFailure(accountKey(account), LOGIN_THROTTLE.ACCOUNT_THRESHOLD)
+    const ipLock = await countFailure(ipKey(ip), LOGIN_THROTTLE.IP_THRESHOLD)
+
+    const lockouts = [
+        accountLock && { scope: "account", ...accountLock },
+        ipLock && { scope: "ip", ...ipLock }
+    ].filter(Boolean)
+
+    if (lockouts.length) {
+        await AuditLog.insertMany(lockouts.map((lockout) => ({
+            action: "login.lockout",
+            user: lockout.scope === "account" ? userId : undefined,
+            ip,
+            details: {
+                scope: lockout.scope,
+                account,
+                failedAttempts: lockout.count,
+                lockedUntil: lockout.lockedUntil
+            }
+        })))
+    }
+}
+
+// a successful login clears the account counter, the ip keeps its history
+const recordSuccessfulLogin = async ({ account }) => {
+    await getStore().reset(accountKey(account))
+}
+
+export { getLockoutSeconds, recordFailedLogin, recordSuccessfulLogin, setAttemptStore }
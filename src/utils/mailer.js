@@ -0,0 +1,77 @@
+import nodemailer from "nodemailer";
+import fs from "fs";
+import path from "path";
+
+// transports only need a send(message) method, pick one with MAIL_TRANSPORT
+// smtp for real delivery, file/console so the flows can be tested locally
+
+const smtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD
+        } : undefined
+    })
+
+    return {
+        send: (message) => transporter.sendMail(message)
+    }
+}
+
+// writes every mail as a json file, handy to grab tokens while testing
+const fileTransport = () => {
+    const mailDir = process.env.MAIL_FILE_DIR || "./logs/mail"
+
+    return {
+        send: async (message) => {
+            await fs.promises.mkdir(mailDir, { recursive: true })
+            const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`
+            await fs.promises.writeFile(
+                path.join(mailDir, fileName),
+                JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+            )
+        }
+    }
+}
+
+const consoleTransport = () => {
+    return {
+        send: async (message) => {
+            console.log(`\n[mail] to: ${message.to} subject: ${message.subject}\n${message.text}\n`)
+        }
+    }
+}
+
+const transports = {
+    smtp: smtpTransport,
+    file: fileTransport,
+    console: consoleTransport
+}
+
+let transport;
+
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || "console"
+        if (!transports[name]) {
+            throw new Error(`Unknown mail transport "${name}"`)
+        }
+        transport = transports[name]()
+    }
+    return transport
+}
+
+const sendMail = async ({ to, subject, text, html }) => {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || "VTube <no-reply@vtube.local>",
+        to,
+        subject,
+        text,
+        html
+    })
+}
+
+export { sendMail }
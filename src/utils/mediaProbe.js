@@ -0,0 +1,35 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile)
+
+const ffprobe = (args) => execFileAsync(process.env.FFPROBE_PATH || "ffprobe", args, { maxBuffer: 10 * 1024 * 1024 })
+
+// duration, resolution and codecs of a media file, throws when it can not be read
+const probeMedia = async (localPath) => {
+    const { stdout } = await ffprobe([
+        "-v", "error",
+        "-show_entries", "format=duration:stream=codec_type,codec_name,width,height",
+        "-of", "json",
+        localPath
+    ])
+
+    const { format = {}, streams = [] } = JSON.parse(stdout)
+    const videoStream = streams.find((stream) => stream.codec_type === "video")
+    const audioStream = streams.find((stream) => stream.codec_type === "audio")
+
+    if (!videoStream) {
+        throw new Error("File has no video stream")
+    }
+
+    return {
+        duration: Number.parseFloat(format.duration) || 0,
+        width: videoStream.width,
+        height: videoStream.height,
+        videoCodec: videoStream.codec_name,
+        audioCodec: audioStream?.codec_name,
+        hasAudio: !!audioStream
+    }
+}
+
+export { probeMedia }
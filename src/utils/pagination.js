@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+
+// keyset (cursor) pagination over a sort field plus _id as the tie breaker.
+// cursors are opaque to clients: base64url JSON of the sort and the last item's key
+
+const encodeCursor = (sortBy, value, id) => {
+    const payload = {
+        s: sortBy,
+        v: value instanceof Date ? { $date: value.toISOString() } : value,
+        id: id.toString()
+    }
+    return Buffer.from(JSON.stringify(payload)).toString("base64url")
+}
+
+// the sort value of a cursor goes into a $match, only plain values are let through
+// so a forged one can not carry an operator like { $ne: null }
+const decodeValue = (value) => {
+    if (typeof value === "string") return value;
+    if (typeof value === "number" && Number.isFinite(value)) return value;
+
+    if (value && typeof value === "object" && Object.keys(value).length === 1 && typeof value.$date === "string") {
+        const date = new Date(value.$date)
+        if (!Number.isNaN(date.getTime())) return date;
+    }
+
+    throw new ApiError(400, "Invalid cursor")
+}
+
+// { value, id } of a cursor made for the same sortBy, 400 for anything else
+const decodeCursor = (cursor, sortBy) => {
+    let payload
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+    } catch (error) {
+        throw new ApiError(400, "Invalid cursor")
+    }
+
+    if (payload?.s !== sortBy || typeof payload.id !== "string" || !mongoose.isValidObjectId(payload.id)) {
+        throw new ApiError(400, "Invalid cursor, it was made for another sort order")
+    }
+
+    return {
+        value: decodeValue(payload.v),
+        id: new mongoose.Types.ObjectId(payload.id)
+    }
+}
+
+// $match for the items after the cursor in { [field]: direction, _id: direction } order
+const cursorMatch = ({ value, id }, field, direction) => {
+    const after = direction === 1 ? "$gt" : "$lt"
+
+    return {
+        $or: [
+            { [field]: { [after]: value } },
+            { [field]: value, _id: { [after]: id } }
+        ]
+    }
+}
+
+// fetch limit + 1 items, the extra one only tells whether there is a next page
+const toCursorPage = (items, limit, sortBy, field) => {
+    const docs = items.slice(0, limit)
+    const hasNextPage = items.length > limit
+    const last = docs[docs.length - 1]
+
+    return {
+        docs,
+        limit,
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(sortBy, last[field], last._id) : null
+    }
+}
+
+export { encodeCursor, decodeCursor, cursorMatch, toCursorPage }
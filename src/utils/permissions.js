@@ -0,0 +1,19 @@
+import { ApiError } from "./ApiError.js";
+import { ROLE_PERMISSIONS } from "../constants.js";
+
+const hasPermission = (user, permission) => {
+    return ROLE_PERMISSIONS[user?.role]?.includes(permission) ?? false
+}
+
+const isOwner = (user, ownerId) => {
+    return !!user?._id && ownerId?.toString() === user._id.toString()
+}
+
+// owners manage their own content, anyone else needs the moderation permission
+const assertOwnerOrPermission = (user, ownerId, permission, message = "You are not allowed to perform this action") => {
+    if (!isOwner(user, ownerId) && !hasPermission(user, permission)) {
+        throw new ApiError(403, message)
+    }
+}
+
+export { hasPermission, isOwner, assertOwnerOrPermission }
@@ -0,0 +1,126 @@
+import { Video } from "../models/video.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
+import { getSearch } from "../search/index.js";
+import { listedVideoMatch } from "./videoAccess.js";
+import { RELATED_VIDEOS } from "../constants.js";
+
+// "up next" for a video. candidates come from four signals, each adding to a score:
+//   co-watch      other videos in the history of people who watched this one
+//   tags          listed videos sharing tags with it, more shared tags score higher
+//   channel       the latest uploads of the same channel
+//   title         title similarity through the search driver
+// videos the viewer already watched are left out. when the signals give too few
+// videos, the most viewed of the same category and then of everything fill the list.
+// ties are broken by views and id so the same data always gives the same list.
+
+const { WEIGHTS } = RELATED_VIDEOS
+
+const coWatchScores = async (video, exclude) => {
+    const viewers = await WatchEvent.find({ video: video._id })
+        .sort({ lastWatchedAt: -1 })
+        .limit(RELATED_VIDEOS.CO_WATCH_VIEWERS)
+        .select("user")
+        .lean()
+
+    if (!viewers.length) return [];
+
+    const counts = await WatchEvent.aggregate([
+        { $match: { user: { $in: viewers.map(({ user }) => user) }, video: { $nin: exclude } } },
+        { $group: { _id: "$video", viewers: { $sum: 1 } } },
+        { $sort: { viewers: -1, _id: 1 } },
+        { $limit: RELATED_VIDEOS.CANDIDATES_PER_SIGNAL }
+    ])
+
+    return counts.map(({ _id, viewers }) => ({ _id, score: WEIGHTS.CO_WATCH * viewers }))
+}
+
+const tagScores = async (video, exclude) => {
+    if (!video.tags?.length) return [];
+
+    const matches = await Video.aggregate([
+        { $match: { ...listedVideoMatch(), tags: { $in: video.tags }, _id: { $nin: exclude } } },
+        { $addFields: { sharedTags: { $size: { $setIntersection: ["$tags", video.tags] } } } },
+        { $sort: { sharedTags: -1, views: -1, _id: 1 } },
+        { $limit: RELATED_VIDEOS.CANDIDATES_PER_SIGNAL },
+        { $project: { sharedTags: 1 } }
+    ])
+
+    return matches.map(({ _id, sharedTags }) => ({ _id, score: WEIGHTS.TAG * sharedTags }))
+}
+
+const channelScores = async (video, exclude) => {
+    const uploads = await Video.find({ owner: video.owner, ...listedVideoMatch(), _id: { $nin: exclude } })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(RELATED_VIDEOS.CANDIDATES_PER_SIGNAL)
+        .select("_id")
+        .lean()
+
+    return uploads.map(({ _id }) => ({ _id, score: WEIGHTS.CHANNEL }))
+}
+
+// the best title match gets the full weight, the others less by rank
+const titleScores = async (video, exclude) => {
+    const matches = await Video.aggregate([
+        ...getSearch().videoStages(video.title),
+        { $match: { ...listedVideoMatch(), _id: { $nin: exclude } } },
+        { $sort: { searchScore: -1, _id: 1 } },
+        { $limit: RELATED_VIDEOS.CANDIDATES_PER_SIGNAL },
+        { $project: { _id: 1 } }
+    ])
+
+    return matches.map(({ _id }, index) => ({ _id, score: WEIGHTS.TITLE * (1 - index / matches.length) }))
+}
+
+const popularVideos = (match, exclude, limit) => {
+    return Video.find({ ...listedVideoMatch(), ...match, _id: { $nin: exclude } })
+        .sort({ views: -1, _id: 1 })
+        .limit(limit)
+        .select("_id")
+        .lean()
+}
+
+// ids of the related videos, best first
+const findRelatedVideoIds = async (video, viewer, limit) => {
+    const watched = viewer?._id ? await WatchEvent.find({ user: viewer._id }).distinct("video") : []
+    const exclude = [video._id, ...watched]
+
+    const signals = await Promise.all([
+        coWatchScores(video, exclude),
+        tagScores(video, exclude),
+        channelScores(video, exclude),
+        titleScores(video, exclude)
+    ])
+
+    const scores = new Map()
+    for (const { _id, score } of signals.flat()) {
+        const key = _id.toString()
+        scores.set(key, (scores.get(key) || 0) + score)
+    }
+
+    // co-watched videos were not checked for visibility yet
+    const candidates = scores.size
+        ? await Video.find({ _id: { $in: [...scores.keys()] }, ...listedVideoMatch() })
+            .select("views")
+            .lean()
+        : []
+
+    const related = candidates
+        .map(({ _id, views }) => ({ _id, views, score: scores.get(_id.toString()) }))
+        .sort((a, b) => b.score - a.score || b.views - a.views || a._id.toString().localeCompare(b._id.toString()))
+        .slice(0, limit)
+        .map(({ _id }) => _id)
+
+    if (related.length < limit) {
+        const sameCategory = await popularVideos({ category: video.category }, [...exclude, ...related], limit - related.length)
+        related.push(...sameCategory.map(({ _id }) => _id))
+    }
+
+    if (related.length < limit) {
+        const anyCategory = await popularVideos({}, [...exclude, ...related], limit - related.length)
+        related.push(...anyCategory.map(({ _id }) => _id))
+    }
+
+    return related
+}
+
+export { findRelatedVideoIds }
@@ -0,0 +1,45 @@
+import { ApiError } from "./ApiError.js";
+import { VIDEO_TAGS } from "../constants.js";
+
+// tags are stored lowercase without "#", punctuation or extra spaces so
+// "#NodeJS", "nodejs " and "NodeJS" are the same tag
+const normalizeTag = (tag) => {
+    return String(tag)
+        .toLowerCase()
+        .replace(/^#+/, "")
+        .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+        .replace(/\s+/g, " ")
+        .trim()
+}
+
+// a list, its JSON (multipart forms) or "a, b, c"
+const toList = (input) => {
+    if (Array.isArray(input)) return input;
+
+    const text = String(input ?? "").trim()
+    if (text.startsWith("[")) {
+        try {
+            const list = JSON.parse(text)
+            if (Array.isArray(list)) return list;
+        } catch (error) {
+            // not JSON, read it as a comma separated list
+        }
+    }
+    return text.split(",")
+}
+
+const normalizeTags = (input) => {
+    const tags = [...new Set(toList(input).map(normalizeTag).filter(Boolean))]
+
+    if (tags.length > VIDEO_TAGS.MAX_COUNT) {
+        throw new ApiError(400, `A video can not have more than ${VIDEO_TAGS.MAX_COUNT} tags`)
+    }
+
+    if (tags.some((tag) => tag.length > VIDEO_TAGS.MAX_LENGTH)) {
+        throw new ApiError(400, `Tags can not be longer than ${VIDEO_TAGS.MAX_LENGTH} characters`)
+    }
+
+    return tags
+}
+
+export { normalizeTag, normalizeTags, toList }
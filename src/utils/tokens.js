@@ -0,0 +1,13 @@
+import crypto from "crypto";
+
+// random url safe token, only ever sent to the client, db keeps the hash
+const generateToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString("base64url")
+}
+
+// sha256 is enough here, tokens are long random strings (not passwords)
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+export { generateToken, hashToken }
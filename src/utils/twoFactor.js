@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import { User } from "../models/user.model.js";
+import { verifyTotp } from "./totp.js";
+import { hashToken } from "./tokens.js";
+
+const RECOVERY_CODE_COUNT = 10
+
+// codes look like "k3f9q-2mx7d", only the hashes are stored
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(8).toString("base64url").toLowerCase().replace(/[^a-z0-9]/g, "").padEnd(10, "0").slice(0, 10)
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`
+    })
+
+    return {
+        codes,
+        hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code)))
+    }
+}
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase().replace(/[^a-z0-9]/g, "")
+
+// checks a totp code or a recovery code for a user with two factor enabled
+// both are consumed atomically so the same code is never accepted twice
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const result = await User.updateOne(
+            {
+                _id: userId,
+                "twoFactor.enabled": true,
+                "twoFactor.recoveryCodes": hashToken(normalizeRecoveryCode(recoveryCode))
+            },
+            {
+                $pull: { "twoFactor.recoveryCodes": hashToken(normalizeRecoveryCode(recoveryCode)) }
+            }
+        )
+        return result.modifiedCount === 1
+    }
+
+    const user = await User.findById(userId).select("+twoFactor.secret")
+
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+        return false
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code)
+
+    if (step === null) {
+        return false
+    }
+
+    const result = await User.updateOne(
+        {
+            _id: userId,
+            $or: [
+                { "twoFactor.lastUsedStep": { $lt: step } },
+                { "twoFactor.lastUsedStep": null }
+            ]
+        },
+        {
+            $set: { "twoFactor.lastUsedStep": step }
+        }
+    )
+    return result.modifiedCount === 1
+}
+
+export { generateRecoveryCodes, verifySecondFactor }
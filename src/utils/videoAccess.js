@@ -0,0 +1,63 @@
+import { Video } from "../models/video.model.js";
+import { VideoShareLink } from "../models/videoShareLink.model.js";
+import { hasPermission, isOwner } from "./permissions.js";
+import { PERMISSIONS } from "../constants.js";
+
+// who can see a video:
+//   public   - everyone, and it is listed
+//   unlisted - everyone who has its id or link, never listed
+//   private  - the allow-list and holders of an active share link
+// videos that are not transcoded yet or were taken down by a moderator are only
+// seen by the owner and moderators. every query that returns videos goes
+// through one of these so hidden videos do not show up through a join.
+
+// $match for listings (all videos, feeds, search)
+const listedVideoMatch = () => ({
+    visibility: "public",
+    processingStatus: "ready",
+    "moderation.unpublishedAt": { $exists: false }
+})
+
+// $match for videos reached through a reference (playlists, likes, history)
+const visibleVideoMatch = (user) => {
+    if (hasPermission(user, PERMISSIONS.VIDEOS_MODERATE)) return {};
+
+    const available = {
+        processingStatus: "ready",
+        "moderation.unpublishedAt": { $exists: false }
+    }
+
+    const conditions = [{ ...available, visibility: { $in: ["public", "unlisted"] } }]
+
+    if (user?._id) {
+        conditions.push({ owner: user._id })
+        conditions.push({ ...available, visibility: "private", allowedUsers: user._id })
+    }
+
+    return { $or: conditions }
+}
+
+// same rules for a loaded video, shareLink is an active share link of it
+const canViewVideo = (user, video, shareLink = null) => {
+    if (isOwner(user, video.owner) || hasPermission(user, PERMISSIONS.VIDEOS_MODERATE)) return true;
+
+    if (video.processingStatus !== "ready" || video.moderation?.unpublishedAt) return false;
+
+    if (video.visibility !== "private") return true;
+
+    return !!shareLink || (!!user?._id && video.allowedUsers?.some((userId) => userId.equals(user._id)))
+}
+
+// the video if the user (or the share token) may see it, null otherwise
+const findViewableVideo = async (videoId, user, shareToken) => {
+    const video = await Video.findById(videoId)
+    if (!video) return null;
+
+    const shareLink = video.visibility === "private" && shareToken
+        ? await VideoShareLink.findActive(video._id, shareToken)
+        : null
+
+    return canViewVideo(user, video, shareLink) ? video : null
+}
+
+export { listedVideoMatch, visibleVideoMatch, canViewVideo, findViewableVideo }
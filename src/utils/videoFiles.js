@@ -0,0 +1,26 @@
+import fs from "fs";
+import { deleteFileByUrl } from "../storage/index.js";
+
+// every stored file of a video, select "+hlsFiles +sourceFile" when loading it
+const deleteVideoFiles = async (video) => {
+    if (video.sourceFile) {
+        await fs.promises.rm(video.sourceFile, { force: true })
+    }
+
+    await deleteFileByUrl(video.videoFile, { resourceType: "video" })
+    // a picked candidate is deleted with the other candidates
+    if (!video.thumbnailCandidates?.includes(video.thumbnail)) {
+        await deleteFileByUrl(video.thumbnail, { resourceType: "image" })
+    }
+
+    for (const url of [...(video.thumbnailCandidates || []), ...(video.seekPreview?.sprites || [])]) {
+        await deleteFileByUrl(url, { resourceType: "image" })
+    }
+    await deleteFileByUrl(video.seekPreview?.track, { resourceType: "raw" })
+
+    for (const url of video.hlsFiles || []) {
+        await deleteFileByUrl(url, { resourceType: "raw" })
+    }
+}
+
+export { deleteVideoFiles }
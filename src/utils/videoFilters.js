@@ -0,0 +1,63 @@
+import { ApiError } from "./ApiError.js";
+import { normalizeTag, toList } from "./tags.js";
+import { VIDEO_CATEGORIES } from "../constants.js";
+
+const parseNumber = (value, name) => {
+    const number = Number(value)
+
+    if (!Number.isFinite(number) || number < 0) {
+        throw new ApiError(400, `${name} must be a number of seconds`)
+    }
+    return number
+}
+
+const parseDate = (value, name) => {
+    const date = new Date(value)
+
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be a valid date`)
+    }
+    return date
+}
+
+// browsing filters from the query string:
+//   tags=a,b           videos with all of these tags
+//   category=x,y       videos in any of these categories
+//   minDuration / maxDuration (seconds), uploadedAfter / uploadedBefore (dates)
+// the category is returned apart so facets can count every category under the other filters
+const parseVideoFilters = ({ tags, category, minDuration, maxDuration, uploadedAfter, uploadedBefore } = {}) => {
+    const match = {}
+    const categoryMatch = {}
+
+    if (tags) {
+        const tagList = [...new Set(toList(tags).map(normalizeTag).filter(Boolean))]
+        if (tagList.length) match.tags = { $all: tagList };
+    }
+
+    if (category) {
+        const categories = toList(category).map((value) => String(value).trim()).filter(Boolean)
+
+        if (categories.some((value) => !VIDEO_CATEGORIES.includes(value))) {
+            throw new ApiError(400, `category must be one of ${VIDEO_CATEGORIES.join(", ")}`)
+        }
+        if (categories.length) categoryMatch.category = { $in: categories };
+    }
+
+    if (minDuration !== undefined || maxDuration !== undefined) {
+        match.duration = {
+            ...(minDuration !== undefined && { $gte: parseNumber(minDuration, "minDuration") }),
+            ...(maxDuration !== undefined && { $lte: parseNumber(maxDuration, "maxDuration") })
+        }
+    }
+
+    if (uploadedAfter || uploadedBefore) {
+        match.createdAt = {
+            ...(uploadedAfter && { $gte: parseDate(uploadedAfter, "uploadedAfter") }),
+            ...(uploadedBefore && { $lte: parseDate(uploadedBefore, "uploadedBefore") })
+        }
+    }
+
+    return { match, categoryMatch }
+}
+
+export { parseVideoFilters }
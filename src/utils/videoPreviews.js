@@ -0,0 +1,95 @@
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { formatVttTimestamp } from "./captions.js";
+import { THUMBNAIL_CANDIDATE_POSITIONS, SPRITE_SHEET } from "../constants.js";
+
+const execFileAsync = promisify(execFile)
+
+const ffmpeg = (args) => execFileAsync(process.env.FFMPEG_PATH || "ffmpeg", args, { maxBuffer: 10 * 1024 * 1024 })
+
+// one still per candidate position, returns the local files in order
+const extractThumbnailCandidates = async (sourceFile, outputDir, media) => {
+    const height = Math.min(720, media.height)
+    const files = []
+
+    for (const [index, position] of THUMBNAIL_CANDIDATE_POSITIONS.entries()) {
+        const file = path.join(outputDir, `candidate_${index + 1}.jpg`)
+
+        await ffmpeg([
+            "-y", "-v", "error",
+            // seeking before -i is fast and lands on the nearest keyframe, close enough for a still
+            "-ss", (media.duration * position).toFixed(3),
+            "-i", sourceFile,
+            "-frames:v", "1",
+            "-vf", `scale=-2:${height}`,
+            "-q:v", "3",
+            file
+        ])
+        files.push(file)
+    }
+    return files
+}
+
+const spriteLayout = (media) => {
+    const interval = Math.max(SPRITE_SHEET.INTERVAL, Math.ceil(media.duration / SPRITE_SHEET.MAX_TILES))
+
+    return {
+        interval,
+        tileWidth: SPRITE_SHEET.TILE_WIDTH,
+        tileHeight: Math.round((SPRITE_SHEET.TILE_WIDTH * media.height) / media.width / 2) * 2,
+        tiles: Math.max(1, Math.ceil(media.duration / interval)),
+        tilesPerSheet: SPRITE_SHEET.COLUMNS * SPRITE_SHEET.ROWS
+    }
+}
+
+// frames every layout.interval seconds, tiled COLUMNS x ROWS into sprite_000.jpg, sprite_001.jpg ...
+// the fps filter may give a frame less than the duration suggests, the sheets are
+// taken from what ffmpeg wrote and the layout only has tiles inside them
+const createSpriteSheets = async (sourceFile, outputDir, media) => {
+    const layout = spriteLayout(media)
+
+    await ffmpeg([
+        "-y", "-v", "error",
+        "-i", sourceFile,
+        "-vf", `fps=1/${layout.interval},scale=${layout.tileWidth}:${layout.tileHeight},tile=${SPRITE_SHEET.COLUMNS}x${SPRITE_SHEET.ROWS}`,
+        "-q:v", "5",
+        "-start_number", "0",
+        path.join(outputDir, "sprite_%03d.jpg")
+    ])
+
+    const files = (await fs.promises.readdir(outputDir))
+        .filter((file) => /^sprite_\d{3}\.jpg$/.test(file))
+        .sort()
+        .map((file) => path.join(outputDir, file))
+
+    if (!files.length) {
+        throw new Error("ffmpeg did not write any sprite sheet")
+    }
+
+    return {
+        layout: { ...layout, tiles: Math.min(layout.tiles, files.length * layout.tilesPerSheet) },
+        files
+    }
+}
+
+// WebVTT thumbnails track, every cue points at its tile with a #xywh media fragment
+const buildThumbnailTrack = (layout, spriteUrls, duration) => {
+    const lines = ["WEBVTT", ""]
+
+    for (let tile = 0; tile < layout.tiles; tile++) {
+        const position = tile % layout.tilesPerSheet
+        const x = (position % SPRITE_SHEET.COLUMNS) * layout.tileWidth
+        const y = Math.floor(position / SPRITE_SHEET.COLUMNS) * layout.tileHeight
+        const start = tile * layout.interval
+        const end = Math.min((tile + 1) * layout.interval, Math.max(duration, start + 1))
+
+        lines.push(`${formatVttTimestamp(start)} --> ${formatVttTimestamp(end)}`)
+        lines.push(`${spriteUrls[Math.floor(tile / layout.tilesPerSheet)]}#xywh=${x},${y},${layout.tileWidth},${layout.tileHeight}`)
+        lines.push("")
+    }
+    return lines.join("\n")
+}
+
+export { extractThumbnailCandidates, createSpriteSheets, buildThumbnailTrack }